@@ -12,6 +12,7 @@ let testDuration = 30; // 30 seconds
 let frameCount = 0;
 let lastFPSUpdate = 0;
 let canvas = null;
+let webglSupportInfo = null; // Result of detectWebGLSupport() at startup
 
 // Monitoring variables
 let fpsChart = null;
@@ -49,6 +50,353 @@ let testLevels = {
     }
 };
 
+// Workload variables
+let currentWorkload = 'cubes';
+let workloadState = null; // Per-run state returned by the active workload's create()
+let artifactCheck = null; // Verification scene and reference frame for the running test
+let droppedModel = null; // glTF asset dropped by the user: { name, scene, triangles, materials, meshes }
+
+// Stress workloads selectable on the level page. Each one scales with the same
+// light/medium/heavy/extreme levels; `requiresWebGL2` / `requiresFloatTargets` refuse to start on
+// devices without them (see getMissingWorkloadRequirement); `optionsPanel` names a level-page element
+// shown while the workload is selected; `skipArtifactCheck` opts out of the verification frames (for
+// workloads that take the main renderer's context away). Optional hooks:
+//   validate() -> false to refuse to start (the workload shows the reason itself),
+//   create(levelConfig) -> state, update(state, elapsedSeconds), render(state),
+//   metrics(state, fps) -> { label: value }, dispose(state),
+//   report(state) -> { metrics, table: { columns, rows }, chart: { xLabel, yLabel, series } }
+let testWorkloads = {
+    cubes: {
+        name: 'Cube Field',
+        description: 'Phong-lit rotating cubes - draw submission and vertex load',
+        create: createStressTestObjects
+    },
+    raymarch: {
+        name: 'Raymarching Shader',
+        description: 'Full-screen SDF raymarcher with fractal noise - saturates fragment shader ALUs',
+        levels: {
+            light: { steps: 48, octaves: 2, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { steps: 96, octaves: 4, expectedFPS: { desktop: 45, mobile: 20 } },
+            heavy: { steps: 160, octaves: 6, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { steps: 256, octaves: 8, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createRaymarchWorkload,
+        update: updateRaymarchWorkload,
+        metrics: getRaymarchMetrics
+    },
+    overdraw: {
+        name: 'Fill Rate / Overdraw',
+        description: 'Stacked full-screen alpha-blended layers - isolates ROP and memory bandwidth limits',
+        levels: {
+            light: { layers: 16, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { layers: 32, expectedFPS: { desktop: 50, mobile: 20 } },
+            heavy: { layers: 64, expectedFPS: { desktop: 35, mobile: 12 } },
+            extreme: { layers: 128, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createOverdrawWorkload,
+        metrics: getOverdrawMetrics
+    },
+    instanced: {
+        name: 'Instanced Geometry',
+        description: 'One InstancedMesh draw call, rotated in the vertex shader - scales to hundreds of thousands of cubes',
+        levels: {
+            light: { instances: 10000, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { instances: 50000, expectedFPS: { desktop: 50, mobile: 20 } },
+            heavy: { instances: 150000, expectedFPS: { desktop: 35, mobile: 12 } },
+            extreme: { instances: 400000, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createInstancedWorkload,
+        update: updateInstancedWorkload,
+        metrics: getInstancedMetrics
+    },
+    drawcalls: {
+        name: 'Draw Call Sweep',
+        description: 'Separate meshes vs instancing vs WEBGL_multi_draw at rising draw counts, plus uniform update and material switch costs',
+        levels: {
+            light: { drawCounts: [100, 500, 1000], expectedFPS: { desktop: 45, mobile: 25 } },
+            medium: { drawCounts: [250, 1000, 4000], expectedFPS: { desktop: 35, mobile: 18 } },
+            heavy: { drawCounts: [500, 2000, 8000], expectedFPS: { desktop: 25, mobile: 12 } },
+            extreme: { drawCounts: [1000, 5000, 16000], expectedFPS: { desktop: 18, mobile: 8 } }
+        },
+        create: createDrawCallSweep,
+        update: updateDrawCallSweep,
+        render: renderDrawCallSweep,
+        metrics: getDrawCallSweepMetrics,
+        report: getDrawCallSweepReport,
+        dispose: disposeDrawCallSweep
+    },
+    texture: {
+        name: 'Texture Bandwidth',
+        description: 'Large procedural mipmapped textures sampled at random offsets with anisotropic filtering - memory bandwidth bound',
+        levels: {
+            light: { textureSize: 1024, textures: 2, samples: 8, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { textureSize: 2048, textures: 4, samples: 16, expectedFPS: { desktop: 45, mobile: 20 } },
+            heavy: { textureSize: 4096, textures: 4, samples: 24, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { textureSize: 8192, textures: 2, samples: 32, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createTextureWorkload,
+        update: updateTextureWorkload,
+        metrics: getTextureMetrics,
+        dispose: disposeTextureWorkload
+    },
+    compressed: {
+        name: 'Compressed Textures',
+        description: 'Encodes S3TC, ETC2, ASTC and BPTC textures in the browser and compares upload and sampling speed against RGBA8',
+        levels: {
+            light: { textureSize: 512, samples: 8, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { textureSize: 1024, samples: 16, expectedFPS: { desktop: 50, mobile: 20 } },
+            heavy: { textureSize: 2048, samples: 24, expectedFPS: { desktop: 35, mobile: 12 } },
+            extreme: { textureSize: 2048, samples: 48, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createCompressedTextureWorkload,
+        update: updateCompressedTextureWorkload,
+        metrics: getCompressedTextureMetrics,
+        report: getCompressedTextureReport,
+        dispose: disposeCompressedTextureWorkload
+    },
+    shadows: {
+        name: 'Shadow Mapping',
+        description: 'Cube field lit by moving shadow-casting point and spot lights - one depth pass per spot light, six per point light',
+        levels: {
+            light: { objects: 150, pointLights: 1, spotLights: 1, shadowMapSize: 512, expectedFPS: { desktop: 55, mobile: 30 } },
+            medium: { objects: 200, pointLights: 2, spotLights: 2, shadowMapSize: 1024, expectedFPS: { desktop: 40, mobile: 20 } },
+            heavy: { objects: 300, pointLights: 3, spotLights: 3, shadowMapSize: 2048, expectedFPS: { desktop: 28, mobile: 12 } },
+            extreme: { objects: 500, pointLights: 4, spotLights: 4, shadowMapSize: 4096, expectedFPS: { desktop: 18, mobile: 8 } }
+        },
+        create: createShadowWorkload,
+        update: updateShadowWorkload,
+        metrics: getShadowMetrics,
+        dispose: disposeShadowWorkload
+    },
+    postprocessing: {
+        name: 'Post-Processing Chain',
+        description: 'Scene rendered off-screen, then bloom, Gaussian blur, depth of field and tone mapping passes - timed per pass',
+        optionsPanel: 'postprocessing-panel',
+        levels: {
+            light: { objects: 100, blurPasses: 1, dofPasses: 1, expectedFPS: { desktop: 55, mobile: 30 } },
+            medium: { objects: 150, blurPasses: 2, dofPasses: 2, expectedFPS: { desktop: 45, mobile: 22 } },
+            heavy: { objects: 200, blurPasses: 4, dofPasses: 3, expectedFPS: { desktop: 30, mobile: 14 } },
+            extreme: { objects: 300, blurPasses: 8, dofPasses: 4, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createPostProcessingWorkload,
+        update: updatePostProcessingWorkload,
+        render: renderPostProcessingWorkload,
+        metrics: getPostProcessingMetrics,
+        report: getPostProcessingReport,
+        dispose: disposePostProcessingWorkload
+    },
+    particles: {
+        name: 'GPU Particles',
+        description: 'Millions of particles simulated entirely on the GPU with WebGL2 transform feedback',
+        requiresWebGL2: true,
+        levels: {
+            light: { particles: 500000, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { particles: 1000000, expectedFPS: { desktop: 50, mobile: 20 } },
+            heavy: { particles: 2000000, expectedFPS: { desktop: 35, mobile: 12 } },
+            extreme: { particles: 4000000, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createParticleWorkload,
+        update: updateParticleWorkload,
+        render: renderParticleWorkload,
+        metrics: getParticleMetrics,
+        dispose: disposeParticleWorkload
+    },
+    fluid: {
+        name: 'Fluid Simulation',
+        description: '2D Navier-Stokes fluid solved on the GPU by rendering between floating-point render targets',
+        requiresFloatTargets: true,
+        levels: {
+            light: { gridSize: 256, pressureIterations: 20, stepsPerFrame: 1, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { gridSize: 512, pressureIterations: 25, stepsPerFrame: 1, expectedFPS: { desktop: 50, mobile: 20 } },
+            heavy: { gridSize: 1024, pressureIterations: 30, stepsPerFrame: 2, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { gridSize: 2048, pressureIterations: 40, stepsPerFrame: 2, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createFluidWorkload,
+        render: renderFluidWorkload,
+        metrics: getFluidMetrics,
+        dispose: disposeFluidWorkload
+    },
+    deferred: {
+        name: 'Deferred Shading',
+        description: 'G-buffer written with multiple render targets, then hundreds of additive point light volumes',
+        requiresWebGL2: true,
+        requiresFloatTargets: true,
+        levels: {
+            light: { objects: 2000, lights: 128, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { objects: 4000, lights: 256, expectedFPS: { desktop: 45, mobile: 20 } },
+            heavy: { objects: 6000, lights: 512, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { objects: 8000, lights: 1024, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createDeferredWorkload,
+        update: updateDeferredWorkload,
+        render: renderDeferredWorkload,
+        metrics: getDeferredMetrics,
+        dispose: disposeDeferredWorkload
+    },
+    pbr: {
+        name: 'PBR Environment',
+        description: 'Game-like flythrough: displaced terrain, standard and physical materials, generated environment map, fog, shadows and a live reflection probe',
+        levels: {
+            light: { terrainSegments: 128, objects: 40, reflectionSize: 128, shadowMapSize: 1024, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { terrainSegments: 256, objects: 80, reflectionSize: 256, shadowMapSize: 2048, expectedFPS: { desktop: 45, mobile: 20 } },
+            heavy: { terrainSegments: 384, objects: 160, reflectionSize: 512, shadowMapSize: 2048, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { terrainSegments: 512, objects: 300, reflectionSize: 1024, shadowMapSize: 4096, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createPBRWorkload,
+        update: updatePBRWorkload,
+        render: renderPBRWorkload,
+        metrics: getPBRMetrics,
+        dispose: disposePBRWorkload
+    },
+    crowd: {
+        name: 'Skinned Crowd',
+        description: 'Hundreds to thousands of procedurally rigged characters walking with GPU vertex skinning and bone textures',
+        levels: {
+            light: { characters: 200, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { characters: 500, expectedFPS: { desktop: 45, mobile: 20 } },
+            heavy: { characters: 1000, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { characters: 2000, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createCrowdWorkload,
+        update: updateCrowdWorkload,
+        metrics: getCrowdMetrics,
+        dispose: disposeCrowdWorkload
+    },
+    msaa: {
+        name: 'MSAA Cost Sweep',
+        description: 'The same scene with no AA, then 2x, 4x and 8x MSAA on multisampled render targets - the FPS price of each step',
+        requiresWebGL2: true,
+        levels: {
+            light: { objects: 1000, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { objects: 2000, expectedFPS: { desktop: 45, mobile: 20 } },
+            heavy: { objects: 4000, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { objects: 8000, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createMSAAWorkload,
+        update: updateMSAAWorkload,
+        render: renderMSAAWorkload,
+        metrics: getMSAAMetrics,
+        report: getMSAAReport,
+        dispose: disposeMSAAWorkload
+    },
+    shaders: {
+        name: 'Shader Compilation',
+        description: 'Compiles and links a stream of unique shader programs, synchronously and with KHR_parallel_shader_compile - programs/s and worst stall',
+        levels: {
+            light: { programsPerFrame: 2, complexity: 8, expectedFPS: { desktop: 30, mobile: 15 } },
+            medium: { programsPerFrame: 4, complexity: 16, expectedFPS: { desktop: 20, mobile: 10 } },
+            heavy: { programsPerFrame: 8, complexity: 32, expectedFPS: { desktop: 12, mobile: 6 } },
+            extreme: { programsPerFrame: 16, complexity: 64, expectedFPS: { desktop: 6, mobile: 3 } }
+        },
+        create: createShaderCompileWorkload,
+        update: updateShaderCompileWorkload,
+        metrics: getShaderCompileMetrics,
+        report: getShaderCompileReport,
+        dispose: disposeShaderCompileWorkload
+    },
+    streaming: {
+        name: 'Buffer Streaming',
+        description: 'Morphing meshes recomputed on the CPU every frame and re-uploaded with bufferSubData - bytes streamed per frame and per second',
+        levels: {
+            light: { meshes: 4, segments: 128, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { meshes: 8, segments: 192, expectedFPS: { desktop: 45, mobile: 20 } },
+            heavy: { meshes: 8, segments: 256, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { meshes: 16, segments: 256, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        create: createStreamingWorkload,
+        update: updateStreamingWorkload,
+        metrics: getStreamingMetrics
+    },
+    readback: {
+        name: 'GPU Readback',
+        description: 'readPixels round-trip latency and throughput at several sizes, plus async PBO + fence readback on WebGL2',
+        levels: {
+            light: { objects: 500, expectedFPS: { desktop: 45, mobile: 20 } },
+            medium: { objects: 1000, expectedFPS: { desktop: 35, mobile: 15 } },
+            heavy: { objects: 2000, expectedFPS: { desktop: 25, mobile: 10 } },
+            extreme: { objects: 4000, expectedFPS: { desktop: 15, mobile: 6 } }
+        },
+        create: createReadbackWorkload,
+        update: updateReadbackWorkload,
+        render: renderReadbackWorkload,
+        metrics: getReadbackMetrics,
+        report: getReadbackReport,
+        dispose: disposeReadbackWorkload
+    },
+    vram: {
+        name: 'VRAM Probe',
+        description: 'Allocates textures and buffers step by step until allocation fails, throughput collapses or the context is lost - usable GPU memory',
+        levels: {
+            light: { limitMB: 512, expectedFPS: { desktop: 30, mobile: 15 } },
+            medium: { limitMB: 1024, expectedFPS: { desktop: 30, mobile: 15 } },
+            heavy: { limitMB: 2048, expectedFPS: { desktop: 20, mobile: 10 } },
+            extreme: { limitMB: 4096, expectedFPS: { desktop: 15, mobile: 8 } }
+        },
+        create: createVRAMProbe,
+        update: updateVRAMProbe,
+        metrics: getVRAMProbeMetrics,
+        report: getVRAMProbeReport,
+        dispose: releaseVRAMAllocations
+    },
+    memtest: {
+        name: 'GPU Memory Test',
+        description: 'memtestG80-style: fills large render targets with walking ones, checkerboards and random patterns and reads them back under load, counting bit errors',
+        levels: {
+            light: { targets: 2, targetSize: 1024, loadObjects: 200, expectedFPS: { desktop: 30, mobile: 15 } },
+            medium: { targets: 4, targetSize: 2048, loadObjects: 500, expectedFPS: { desktop: 25, mobile: 12 } },
+            heavy: { targets: 8, targetSize: 2048, loadObjects: 1000, expectedFPS: { desktop: 20, mobile: 10 } },
+            extreme: { targets: 8, targetSize: 4096, loadObjects: 2000, expectedFPS: { desktop: 15, mobile: 8 } }
+        },
+        create: createMemtestWorkload,
+        render: renderMemtestWorkload,
+        metrics: getMemtestMetrics,
+        report: getMemtestReport,
+        dispose: disposeMemtestWorkload
+    },
+    custom: {
+        name: 'Custom GLSL Shader',
+        description: 'Your own Shadertoy-style fragment shader (mainImage with iTime, iResolution, iFrame, iMouse), rendered full screen',
+        optionsPanel: 'custom-shader-panel',
+        levels: {
+            light: { resolutionScale: 0.5, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { resolutionScale: 1, expectedFPS: { desktop: 45, mobile: 20 } },
+            heavy: { resolutionScale: 1.5, expectedFPS: { desktop: 30, mobile: 12 } },
+            extreme: { resolutionScale: 2, expectedFPS: { desktop: 20, mobile: 8 } }
+        },
+        validate: validateCustomShader,
+        create: createCustomShaderWorkload,
+        update: updateCustomShaderWorkload,
+        metrics: getCustomShaderMetrics,
+        dispose: disposeCustomShaderWorkload
+    },
+    gltf: {
+        name: 'Your glTF Model',
+        description: 'A .glb/.gltf file you drop on the page, replicated to the level\'s object count in place of the cubes',
+        optionsPanel: 'gltf-panel',
+        validate: validateGLTFWorkload,
+        create: createGLTFWorkload,
+        metrics: getGLTFMetrics,
+        report: getGLTFReport
+    },
+    multicontext: {
+        name: 'Multi-Context',
+        description: 'Many small canvases, each with its own WebGL context and scene, rendered every frame - per-context FPS and how the browser drops contexts past its limit',
+        skipArtifactCheck: true, // The main renderer's context is released for the run
+        levels: {
+            light: { contexts: 4, objectsPerContext: 50, expectedFPS: { desktop: 60, mobile: 30 } },
+            medium: { contexts: 8, objectsPerContext: 75, expectedFPS: { desktop: 50, mobile: 25 } },
+            heavy: { contexts: 12, objectsPerContext: 100, expectedFPS: { desktop: 40, mobile: 20 } },
+            extreme: { contexts: 24, objectsPerContext: 150, expectedFPS: { desktop: 30, mobile: 15 } }
+        },
+        create: createMultiContextWorkload,
+        update: updateMultiContextWorkload,
+        render: renderMultiContextWorkload,
+        metrics: getMultiContextMetrics,
+        report: getMultiContextReport,
+        dispose: disposeMultiContextWorkload
+    }
+};
+
 // Results tracking
 let testResults = {
     minFPS: Infinity,
@@ -56,7 +404,12 @@ let testResults = {
     avgFPS: 0,
     maxTemp: 65,
     stability: 100,
-    score: 0
+    score: 0,
+    workloadMetrics: {},
+    workloadTable: null,
+    workloadChart: null,
+    artifacts: null,
+    systemStress: null
 };
 
 // Device detection
@@ -192,46 +545,5441 @@ function initThreeJS() {
     }
 }
 
-// Create stress test objects based on selected level
-function createStressTestObjects() {
-    console.log('🎲 createStressTestObjects() called');
-    
-    // Safety check: Don't create objects if test is not running or if we're not in a test mode
-    if (!isTestRunning) {
-        console.warn('⚠️ createStressTestObjects called but test is not running - aborting');
+// Create stress test objects based on selected level
+function createStressTestObjects() {
+    console.log('🎲 createStressTestObjects() called');
+    
+    // Safety check: Don't create objects if test is not running or if we're not in a test mode
+    if (!isTestRunning) {
+        console.warn('⚠️ createStressTestObjects called but test is not running - aborting');
+        return;
+    }
+    
+    if (!scene) {
+        console.warn('⚠️ createStressTestObjects called but Three.js scene is not available - aborting');
+        return;
+    }
+    
+    testObjects = [];
+    const levelConfig = testLevels[currentLevel];
+    const baseObjectCount = levelConfig.objects;
+    const objectCount = isMobile ? Math.floor(baseObjectCount * 0.5) : baseObjectCount;
+    
+    createCubeMeshes(objectCount);
+    addDefaultLights();
+    
+    updateObjectsDisplay(objectCount);
+    
+    console.log(`Created ${objectCount} test objects`);
+}
+
+// Phong materials shared by the cube field
+function createCubeMaterials() {
+    return [
+        new THREE.MeshPhongMaterial({ color: 0x00ff88 }),
+        new THREE.MeshPhongMaterial({ color: 0xff4444 }),
+        new THREE.MeshPhongMaterial({ color: 0x4444ff }),
+        new THREE.MeshPhongMaterial({ color: 0xffff44 }),
+        new THREE.MeshPhongMaterial({ color: 0xff44ff })
+    ];
+}
+
+// Add randomly placed, randomly spinning cubes (one Mesh and one draw call each) to the scene
+function createCubeMeshes(count, materials = createCubeMaterials()) {
+    const geometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
+    const cubes = [];
+    
+    for (let i = 0; i < count; i++) {
+        const material = materials[i % materials.length];
+        const cube = new THREE.Mesh(geometry, material);
+        
+        // Random position
+        cube.position.x = (Math.random() - 0.5) * 20;
+        cube.position.y = (Math.random() - 0.5) * 20;
+        cube.position.z = (Math.random() - 0.5) * 20;
+        
+        // Random rotation speed
+        cube.userData = {
+            rotationSpeed: {
+                x: (Math.random() - 0.5) * 0.02,
+                y: (Math.random() - 0.5) * 0.02,
+                z: (Math.random() - 0.5) * 0.02
+            }
+        };
+        
+        scene.add(cube);
+        testObjects.push(cube);
+        cubes.push(cube);
+    }
+    
+    return cubes;
+}
+
+// Ambient + directional lighting used by the Phong cube field
+function addDefaultLights() {
+    const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
+    scene.add(ambientLight);
+    
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(1, 1, 1);
+    scene.add(directionalLight);
+}
+
+// Safely update the object count readouts
+function updateObjectsDisplay(value) {
+    testResults.objects = value;
+    
+    const objectCountEl = document.getElementById('object-count');
+    const objectsDisplayEl = document.getElementById('objects-display');
+    
+    if (objectCountEl) {
+        objectCountEl.textContent = value;
+    } else {
+        console.warn('object-count element not found');
+    }
+    
+    if (objectsDisplayEl) {
+        objectsDisplayEl.textContent = value;
+    } else {
+        console.warn('objects-display element not found');
+    }
+}
+
+// Get the active workload's settings for the current level
+function getWorkloadLevelConfig() {
+    const workload = testWorkloads[currentWorkload];
+    return (workload.levels && workload.levels[currentLevel]) || {};
+}
+
+// Build the selected workload's scene for the current level
+function createWorkload() {
+    const workload = testWorkloads[currentWorkload];
+    console.log(`🧱 Creating workload: ${workload.name}`);
+    
+    workloadState = workload.create(getWorkloadLevelConfig()) || null;
+}
+
+// Refresh the workload-specific readouts (called once per second from animate())
+function updateWorkloadMetrics(fps) {
+    const workload = testWorkloads[currentWorkload];
+    if (!workload.metrics) return;
+    
+    const metrics = workload.metrics(workloadState, fps);
+    testResults.workloadMetrics = metrics;
+    
+    const workloadMetricsEl = document.getElementById('workload-metrics');
+    if (workloadMetricsEl) {
+        workloadMetricsEl.textContent = Object.keys(metrics)
+            .map(label => `${label}: ${metrics[label]}`)
+            .join(' | ');
+    }
+}
+
+// Collect the workload's end-of-test summary (tables, charts, derived metrics)
+function finalizeWorkloadResults() {
+    const workload = testWorkloads[currentWorkload];
+    if (!workload.report || !workloadState) return;
+    
+    const report = workload.report(workloadState);
+    if (report.metrics) {
+        testResults.workloadMetrics = report.metrics;
+    }
+    testResults.workloadTable = report.table || null;
+    testResults.workloadChart = report.chart || null;
+}
+
+// Render workload metrics, table and chart into the results page
+function renderWorkloadResults(container) {
+    const metrics = testResults.workloadMetrics || {};
+    let html = Object.keys(metrics).map(label => `
+        <div class="comparison-item">
+            <span>${label}</span>
+            <span>${metrics[label]}</span>
+        </div>
+    `).join('');
+    
+    if (testResults.workloadChart) {
+        html += buildLineChartSVG(testResults.workloadChart);
+    }
+    
+    const table = testResults.workloadTable;
+    if (table) {
+        html += `
+            <table class="workload-table">
+                <thead><tr>${table.columns.map(column => `<th>${column}</th>`).join('')}</tr></thead>
+                <tbody>${table.rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        `;
+    }
+    
+    container.innerHTML = html;
+}
+
+// Minimal inline SVG line chart: { xLabel, yLabel, series: [{ name, color, points: [[x, y], ...] }] }
+function buildLineChartSVG(chart) {
+    const width = 560;
+    const height = 260;
+    const pad = { left: 55, right: 15, top: 15, bottom: 45 };
+    const allPoints = chart.series.reduce((points, series) => points.concat(series.points), []);
+    if (allPoints.length === 0) return '';
+    
+    const maxX = Math.max(...allPoints.map(point => point[0]));
+    const maxY = Math.max(...allPoints.map(point => point[1])) * 1.1 || 1;
+    const toX = x => pad.left + (x / maxX) * (width - pad.left - pad.right);
+    const toY = y => height - pad.bottom - (y / maxY) * (height - pad.top - pad.bottom);
+    
+    const lines = chart.series.map(series => `
+        <polyline fill="none" stroke="${series.color}" stroke-width="2"
+            points="${series.points.map(point => `${toX(point[0]).toFixed(1)},${toY(point[1]).toFixed(1)}`).join(' ')}" />
+        ${series.points.map(point => `<circle cx="${toX(point[0]).toFixed(1)}" cy="${toY(point[1]).toFixed(1)}" r="3" fill="${series.color}" />`).join('')}
+    `).join('');
+    
+    const legend = chart.series.map((series, i) => `
+        <text x="${pad.left + 10}" y="${pad.top + 14 + i * 16}" fill="${series.color}" font-size="12">${series.name}</text>
+    `).join('');
+    
+    return `
+        <svg class="workload-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${chart.yLabel} vs ${chart.xLabel}">
+            <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#666" />
+            <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="#666" />
+            <text x="${pad.left - 8}" y="${pad.top + 10}" fill="#b0b0b0" font-size="11" text-anchor="end">${maxY.toFixed(1)}</text>
+            <text x="${pad.left - 8}" y="${height - pad.bottom}" fill="#b0b0b0" font-size="11" text-anchor="end">0</text>
+            <text x="${width - pad.right}" y="${height - pad.bottom + 16}" fill="#b0b0b0" font-size="11" text-anchor="end">${maxX}</text>
+            <text x="${(width + pad.left) / 2}" y="${height - 8}" fill="#b0b0b0" font-size="12" text-anchor="middle">${chart.xLabel}</text>
+            <text x="14" y="${(height - pad.bottom) / 2}" fill="#b0b0b0" font-size="12" text-anchor="middle" transform="rotate(-90 14 ${(height - pad.bottom) / 2})">${chart.yLabel}</text>
+            ${lines}
+            ${legend}
+        </svg>
+    `;
+}
+
+// Artifact detection: a fixed verification frame is rendered at the start of every run and again every
+// few seconds under load; any frame that differs from the reference beyond the tolerance is a mismatch
+const ARTIFACT_CHECK_INTERVAL = 5; // Seconds between verification frames
+const ARTIFACT_FRAME_SIZE = 128;
+const ARTIFACT_CHANNEL_TOLERANCE = 4; // Per-channel difference (0-255) still treated as equal
+const ARTIFACT_PIXEL_BUDGET = 0.001; // Share of differing pixels allowed before a frame counts as corrupted
+const ARTIFACT_MAX_THUMBNAILS = 4;
+
+const VERIFICATION_VERTEX_SHADER = `
+    precision highp float;
+    attribute vec3 position;
+    attribute vec3 normal;
+    uniform mat4 modelViewMatrix;
+    uniform mat4 projectionMatrix;
+    uniform mat3 normalMatrix;
+    varying vec3 vNormal;
+    varying vec3 vPosition;
+    void main() {
+        vNormal = normalize(normalMatrix * normal);
+        vPosition = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Lighting plus smooth procedural bands - no time input, so every render is identical on healthy hardware
+const VERIFICATION_FRAGMENT_SHADER = `
+    precision highp float;
+    varying vec3 vNormal;
+    varying vec3 vPosition;
+    void main() {
+        float diffuse = max(dot(normalize(vNormal), normalize(vec3(0.5, 0.8, 0.6))), 0.0);
+        vec3 bands = 0.5 + 0.5 * sin(vPosition * 8.0 + vec3(0.0, 2.0, 4.0));
+        float rings = 0.8 + 0.2 * sin(length(vPosition) * 12.0);
+        gl_FragColor = vec4(bands * rings * (0.25 + 0.75 * diffuse), 1.0);
+    }
+`;
+
+// Build the verification scene (raw shader, so renderer tone mapping and encoding can't change it)
+// and render the reference frame
+function createArtifactCheck() {
+    // A lost context reads back all zeros, which would make a meaningless reference
+    if (renderer.getContext().isContextLost()) {
+        skipArtifactCheck('WebGL context lost');
+        return;
+    }
+    
+    const verificationScene = new THREE.Scene();
+    verificationScene.background = new THREE.Color(0x000000);
+    
+    const mesh = new THREE.Mesh(
+        new THREE.TorusKnotGeometry(1, 0.35, 128, 16),
+        new THREE.RawShaderMaterial({
+            vertexShader: VERIFICATION_VERTEX_SHADER,
+            fragmentShader: VERIFICATION_FRAGMENT_SHADER
+        })
+    );
+    mesh.rotation.set(0.4, 0.6, 0);
+    verificationScene.add(mesh);
+    
+    const verificationCamera = new THREE.PerspectiveCamera(45, 1, 0.1, 20);
+    verificationCamera.position.set(0, 0, 4.5);
+    verificationCamera.lookAt(0, 0, 0);
+    
+    artifactCheck = {
+        scene: verificationScene,
+        camera: verificationCamera,
+        mesh,
+        target: new THREE.WebGLRenderTarget(ARTIFACT_FRAME_SIZE, ARTIFACT_FRAME_SIZE),
+        reference: new Uint8Array(ARTIFACT_FRAME_SIZE * ARTIFACT_FRAME_SIZE * 4),
+        pixels: new Uint8Array(ARTIFACT_FRAME_SIZE * ARTIFACT_FRAME_SIZE * 4),
+        nextCheck: ARTIFACT_CHECK_INTERVAL
+    };
+    
+    renderVerificationFrame(artifactCheck.reference);
+    testResults.artifacts = {
+        checks: 0,
+        mismatches: 0,
+        worstPixels: 0,
+        reference: createFrameThumbnail(artifactCheck.reference),
+        thumbnails: []
+    };
+    console.log('🔍 Artifact check reference frame captured');
+}
+
+// Record that this run has no verification frames, and why
+function skipArtifactCheck(reason) {
+    artifactCheck = null;
+    testResults.artifacts = {
+        checks: 0,
+        mismatches: 0,
+        worstPixels: 0,
+        reference: null,
+        thumbnails: [],
+        skipReason: reason
+    };
+    console.log(`🔍 Artifact check skipped: ${reason}`);
+}
+
+// Render the verification scene off-screen and read it into `output`
+function renderVerificationFrame(output) {
+    renderer.setRenderTarget(artifactCheck.target);
+    renderer.render(artifactCheck.scene, artifactCheck.camera);
+    renderer.readRenderTargetPixels(artifactCheck.target, 0, 0, ARTIFACT_FRAME_SIZE, ARTIFACT_FRAME_SIZE, output);
+    renderer.setRenderTarget(null);
+}
+
+// Run a verification frame when one is due (called after the frame's normal render)
+function runArtifactCheckIfDue(elapsedSeconds) {
+    if (!artifactCheck || elapsedSeconds < artifactCheck.nextCheck) return;
+    artifactCheck.nextCheck = elapsedSeconds + ARTIFACT_CHECK_INTERVAL;
+
+    // A lost context reads back blank frames - that's a dropped context, not corruption
+    if (renderer.getContext().isContextLost()) return;
+
+    renderVerificationFrame(artifactCheck.pixels);
+    
+    const reference = artifactCheck.reference;
+    const pixels = artifactCheck.pixels;
+    let badPixels = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (Math.abs(pixels[i] - reference[i]) > ARTIFACT_CHANNEL_TOLERANCE ||
+            Math.abs(pixels[i + 1] - reference[i + 1]) > ARTIFACT_CHANNEL_TOLERANCE ||
+            Math.abs(pixels[i + 2] - reference[i + 2]) > ARTIFACT_CHANNEL_TOLERANCE) {
+            badPixels++;
+        }
+    }
+    
+    const artifacts = testResults.artifacts;
+    const badShare = badPixels / (ARTIFACT_FRAME_SIZE * ARTIFACT_FRAME_SIZE);
+    artifacts.checks++;
+    artifacts.worstPixels = Math.max(artifacts.worstPixels, badPixels);
+    
+    if (badShare > ARTIFACT_PIXEL_BUDGET) {
+        artifacts.mismatches++;
+        console.warn(`⚠️ Rendering artifacts at ${elapsedSeconds.toFixed(1)}s - ${badPixels} pixels differ from the reference`);
+        if (artifacts.thumbnails.length < ARTIFACT_MAX_THUMBNAILS) {
+            artifacts.thumbnails.push({
+                time: elapsedSeconds,
+                badPixels,
+                image: createFrameThumbnail(pixels)
+            });
+        }
+    }
+}
+
+// RGBA pixels from readPixels (bottom row first) as a PNG data URL, or null without a 2D canvas
+function createFrameThumbnail(pixels) {
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = ARTIFACT_FRAME_SIZE;
+    thumbnail.height = ARTIFACT_FRAME_SIZE;
+    const ctx = thumbnail.getContext('2d');
+    if (!ctx) return null;
+    
+    const image = ctx.createImageData(ARTIFACT_FRAME_SIZE, ARTIFACT_FRAME_SIZE);
+    const rowBytes = ARTIFACT_FRAME_SIZE * 4;
+    for (let row = 0; row < ARTIFACT_FRAME_SIZE; row++) {
+        const source = (ARTIFACT_FRAME_SIZE - 1 - row) * rowBytes;
+        image.data.set(pixels.subarray(source, source + rowBytes), row * rowBytes);
+    }
+    ctx.putImageData(image, 0, 0);
+    return thumbnail.toDataURL('image/png');
+}
+
+// Free the verification scene and target
+function disposeArtifactCheck() {
+    if (!artifactCheck) return;
+    artifactCheck.mesh.geometry.dispose();
+    artifactCheck.mesh.material.dispose();
+    artifactCheck.target.dispose();
+    artifactCheck = null;
+}
+
+// Verification summary and thumbnails of corrupted frames next to the reference
+function renderArtifactResults(container) {
+    const artifacts = testResults.artifacts;
+    if (!artifacts) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    // Zero checks is not a pass (short runs, skipped or lost-context runs)
+    let status;
+    if (artifacts.checks === 0) {
+        status = artifacts.skipReason ? `Not checked (${artifacts.skipReason})` : 'Not checked';
+    } else if (artifacts.mismatches > 0) {
+        status = `❌ ${artifacts.mismatches} of ${artifacts.checks} frames corrupted`;
+    } else {
+        status = `✅ ${artifacts.checks} of ${artifacts.checks} frames clean`;
+    }
+    let html = `
+        <div class="comparison-item">
+            <span>Artifact Checks</span>
+            <span>${status}</span>
+        </div>
+    `;
+    
+    if (artifacts.thumbnails.length > 0) {
+        const frames = [{ label: 'Reference', image: artifacts.reference }].concat(artifacts.thumbnails.map(frame => ({
+            label: `${frame.time.toFixed(1)}s - ${frame.badPixels} px`,
+            image: frame.image
+        })));
+        html += `
+            <div class="artifact-thumbnails">
+                ${frames.filter(frame => frame.image).map(frame => `
+                    <figure>
+                        <img src="${frame.image}" alt="${frame.label}" width="${ARTIFACT_FRAME_SIZE}" height="${ARTIFACT_FRAME_SIZE}">
+                        <figcaption>${frame.label}</figcaption>
+                    </figure>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    container.innerHTML = html;
+}
+
+// System stress: n-body physics in Web Workers keeps every CPU core busy while the GPU workload runs,
+// so PSU and cooling problems that only show under combined load can surface
+const SYSTEM_STRESS_BODIES = 512; // Bodies per worker (each step computes bodies² interactions)
+const SYSTEM_STRESS_REPORT_INTERVAL = 250; // ms between worker progress messages
+const SYSTEM_STRESS_WORKER_URL = 'stress-worker.js';
+
+let systemStress = null; // Running workers and their step counters: { workers, steps, interactions, ... }
+
+// Whether the level page's system stress checkbox is ticked
+function isSystemStressSelected() {
+    const toggle = document.getElementById('system-stress-toggle');
+    return !!(toggle && toggle.checked);
+}
+
+// Spawn one worker per logical core (navigator.hardwareConcurrency)
+function startSystemStress() {
+    const rateCard = document.getElementById('cpu-rate-card');
+    if (rateCard) rateCard.style.display = 'none';
+
+    if (!isSystemStressSelected()) return;
+    if (typeof Worker === 'undefined') {
+        console.warn('⚠️ Web Workers not available - running the GPU workload without system stress');
+        return;
+    }
+
+    const workerCount = navigator.hardwareConcurrency || 2;
+    systemStress = {
+        workers: [],
+        steps: 0,
+        interactions: 0,
+        lastSteps: 0,
+        lastUpdate: performance.now(),
+        startTime: performance.now()
+    };
+
+    // A refused worker (CSP, file:// pages) throws synchronously - run the GPU workload on its own
+    try {
+        for (let i = 0; i < workerCount; i++) {
+            const worker = new Worker(SYSTEM_STRESS_WORKER_URL);
+            worker.onmessage = event => {
+                if (!systemStress) return;
+                systemStress.steps += event.data.steps;
+                systemStress.interactions += event.data.interactions;
+            };
+            worker.onerror = event => console.error('❌ System stress worker failed:', event.message);
+            worker.postMessage({ bodies: SYSTEM_STRESS_BODIES, reportInterval: SYSTEM_STRESS_REPORT_INTERVAL });
+            systemStress.workers.push(worker);
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not start system stress workers - running the GPU workload without them:', error);
+        systemStress.workers.forEach(worker => worker.terminate());
+        systemStress = null;
+        return;
+    }
+
+    if (rateCard) rateCard.style.display = 'block';
+    const rateLabelEl = document.getElementById('cpu-rate-label');
+    if (rateLabelEl) rateLabelEl.textContent = `CPU Steps/s (${workerCount} worker${workerCount === 1 ? '' : 's'})`;
+    console.log(`🔥 System stress started: ${workerCount} workers x ${SYSTEM_STRESS_BODIES} bodies`);
+}
+
+// Refresh the live worker step rate (called once per FPS update)
+function updateSystemStressDisplay() {
+    if (!systemStress) return;
+
+    const now = performance.now();
+    const seconds = (now - systemStress.lastUpdate) / 1000;
+    if (seconds <= 0) return;
+    const rate = (systemStress.steps - systemStress.lastSteps) / seconds;
+    systemStress.lastSteps = systemStress.steps;
+    systemStress.lastUpdate = now;
+
+    const rateEl = document.getElementById('cpu-rate-display');
+    if (rateEl) rateEl.textContent = formatRate(rate);
+}
+
+// Terminate the workers and record their average rate in testResults
+function stopSystemStress() {
+    if (!systemStress) return;
+
+    const seconds = (performance.now() - systemStress.startTime) / 1000;
+    systemStress.workers.forEach(worker => worker.terminate());
+
+    testResults.systemStress = {
+        workers: systemStress.workers.length,
+        stepsPerSecond: seconds > 0 ? systemStress.steps / seconds : 0,
+        interactionsPerSecond: seconds > 0 ? systemStress.interactions / seconds : 0
+    };
+    systemStress = null;
+    console.log('🧊 System stress stopped:', testResults.systemStress);
+}
+
+// Remove and dispose everything the workload added to the scene
+function clearTestScene() {
+    const workload = testWorkloads[currentWorkload];
+    if (workload.dispose && workloadState) {
+        workload.dispose(workloadState);
+    }
+    workloadState = null;
+    disposeArtifactCheck();
+    
+    if (!scene) return;
+    
+    disposeTestObjects();
+    
+    // Clear lights (collect first - removing while iterating skips children)
+    scene.children
+        .filter(child => child.isLight)
+        .forEach(light => scene.remove(light));
+}
+
+// Remove every object in testObjects from the scene and free its GPU resources
+function disposeTestObjects() {
+    testObjects.forEach(obj => {
+        scene.remove(obj);
+        // Dispose geometry and materials to free memory
+        if (obj.geometry) obj.geometry.dispose();
+        if (obj.material) {
+            if (Array.isArray(obj.material)) {
+                obj.material.forEach(mat => mat.dispose());
+            } else {
+                obj.material.dispose();
+            }
+        }
+    });
+    testObjects = [];
+}
+
+// Format a per-second rate with a K/M/G/T suffix
+function formatRate(value, unit = '') {
+    const suffixes = ['', 'K', 'M', 'G', 'T'];
+    let index = 0;
+    while (value >= 1000 && index < suffixes.length - 1) {
+        value /= 1000;
+        index++;
+    }
+    return `${value.toFixed(index === 0 ? 0 : 2)} ${suffixes[index]}${unit}`.trim();
+}
+
+// Format a byte count as KB/MB/GB
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let index = 0;
+    while (bytes >= 1024 && index < units.length - 1) {
+        bytes /= 1024;
+        index++;
+    }
+    return `${bytes.toFixed(index === 0 ? 0 : 1)} ${units[index]}`;
+}
+
+// Current drawing buffer size in device pixels
+function getDrawingBufferSize() {
+    return renderer.getDrawingBufferSize(new THREE.Vector2());
+}
+
+// Create a mesh that covers the whole viewport regardless of the camera
+function createFullscreenQuad(material) {
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    quad.frustumCulled = false;
+    quad.userData = {};
+    return quad;
+}
+
+// Pass-through vertex shader for full-screen quads (positions are already in clip space)
+const FULLSCREEN_VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// SDF raymarcher: repeated spheres over a noisy floor, fBm displacement on every step
+const RAYMARCH_FRAGMENT_SHADER = `
+    uniform float uTime;
+    uniform vec2 uResolution;
+    varying vec2 vUv;
+
+    float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+
+    float noise(vec3 x) {
+        vec3 i = floor(x);
+        vec3 f = fract(x);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(mix(mix(hash(i + vec3(0.0, 0.0, 0.0)), hash(i + vec3(1.0, 0.0, 0.0)), f.x),
+                       mix(hash(i + vec3(0.0, 1.0, 0.0)), hash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),
+                   mix(mix(hash(i + vec3(0.0, 0.0, 1.0)), hash(i + vec3(1.0, 0.0, 1.0)), f.x),
+                       mix(hash(i + vec3(0.0, 1.0, 1.0)), hash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y), f.z);
+    }
+
+    float fbm(vec3 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < OCTAVES; i++) {
+            value += amplitude * noise(p);
+            p *= 2.02;
+            amplitude *= 0.5;
+        }
+        return value;
+    }
+
+    float map(vec3 p) {
+        vec3 q = p;
+        q.xz = mod(q.xz + 2.0, 4.0) - 2.0;
+        float sphere = length(q - vec3(0.0, sin(uTime + p.x) * 0.3, 0.0)) - 1.0;
+        float ground = p.y + 1.0;
+        return min(sphere, ground) + fbm(p * 2.0 + uTime * 0.2) * 0.25;
+    }
+
+    vec3 calcNormal(vec3 p) {
+        vec2 e = vec2(0.002, 0.0);
+        return normalize(vec3(map(p + e.xyy) - map(p - e.xyy),
+                              map(p + e.yxy) - map(p - e.yxy),
+                              map(p + e.yyx) - map(p - e.yyx)));
+    }
+
+    void main() {
+        vec2 uv = (gl_FragCoord.xy * 2.0 - uResolution) / uResolution.y;
+        vec3 ro = vec3(sin(uTime * 0.3) * 4.0, 1.5, uTime);
+        vec3 rd = normalize(vec3(uv, 1.5));
+
+        float t = 0.0;
+        float steps = 0.0;
+        for (int i = 0; i < MAX_STEPS; i++) {
+            float d = map(ro + rd * t);
+            if (d < 0.001 || t > 40.0) break;
+            t += d * 0.7;
+            steps += 1.0;
+        }
+
+        vec3 col = vec3(0.0);
+        if (t < 40.0) {
+            vec3 p = ro + rd * t;
+            vec3 n = calcNormal(p);
+            float diffuse = max(dot(n, normalize(vec3(0.6, 0.8, -0.4))), 0.0);
+            col = mix(vec3(0.0, 1.0, 0.53), vec3(0.27, 0.27, 1.0), fbm(p)) * (0.2 + diffuse);
+        }
+        col = mix(col, vec3(0.02), 1.0 - exp(-0.003 * t * t));
+        col += vec3(steps / float(MAX_STEPS)) * 0.15;
+        gl_FragColor = vec4(col, 1.0);
+    }
+`;
+
+// Create the fragment-bound raymarching workload
+function createRaymarchWorkload(config) {
+    const steps = isMobile ? Math.floor(config.steps * 0.5) : config.steps;
+    const octaves = config.octaves;
+    
+    const material = new THREE.ShaderMaterial({
+        defines: { MAX_STEPS: steps, OCTAVES: octaves },
+        uniforms: {
+            uTime: { value: 0 },
+            uResolution: { value: getDrawingBufferSize() }
+        },
+        vertexShader: FULLSCREEN_VERTEX_SHADER,
+        fragmentShader: RAYMARCH_FRAGMENT_SHADER,
+        depthWrite: false,
+        depthTest: false
+    });
+    
+    const quad = createFullscreenQuad(material);
+    scene.add(quad);
+    testObjects.push(quad);
+    
+    updateObjectsDisplay(`${steps} steps`);
+    console.log(`Created raymarching quad - ${steps} steps, ${octaves} noise octaves`);
+    
+    return { material, steps, octaves };
+}
+
+// Advance the raymarcher's clock and keep its resolution in sync with the canvas
+function updateRaymarchWorkload(state, elapsedSeconds) {
+    state.material.uniforms.uTime.value = elapsedSeconds;
+    state.material.uniforms.uResolution.value.copy(getDrawingBufferSize());
+}
+
+// Raymarching throughput readouts
+function getRaymarchMetrics(state, fps) {
+    const resolution = state.material.uniforms.uResolution.value;
+    const pixels = resolution.x * resolution.y;
+    
+    return {
+        'Pixels/s': formatRate(pixels * fps),
+        'Max Steps/s': formatRate(pixels * state.steps * fps),
+        'Octaves': state.octaves
+    };
+}
+
+// Flat-colour fragment shader - keeps each overdraw layer ROP-bound instead of ALU-bound
+const OVERDRAW_FRAGMENT_SHADER = `
+    uniform vec4 uColor;
+    void main() {
+        gl_FragColor = uColor;
+    }
+`;
+
+// Create the fill-rate workload: every pixel is blended once per layer
+function createOverdrawWorkload(config) {
+    const layers = isMobile ? Math.floor(config.layers * 0.5) : config.layers;
+    const colors = [0x00ff88, 0xff4444, 0x4444ff, 0xffff44, 0xff44ff];
+    const geometry = new THREE.PlaneGeometry(2, 2);
+    
+    for (let i = 0; i < layers; i++) {
+        const color = new THREE.Color(colors[i % colors.length]);
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uColor: { value: new THREE.Vector4(color.r, color.g, color.b, 0.06) }
+            },
+            vertexShader: FULLSCREEN_VERTEX_SHADER,
+            fragmentShader: OVERDRAW_FRAGMENT_SHADER,
+            transparent: true,
+            blending: THREE.NormalBlending,
+            depthTest: false,
+            depthWrite: false
+        });
+        
+        const layer = new THREE.Mesh(geometry, material);
+        layer.frustumCulled = false;
+        layer.renderOrder = i;
+        layer.userData = {};
+        scene.add(layer);
+        testObjects.push(layer);
+    }
+    
+    updateObjectsDisplay(`${layers} layers`);
+    console.log(`Created ${layers} blended full-screen layers`);
+    
+    return { layers };
+}
+
+// Fill-rate readouts: overdraw factor and blended pixels written per second
+function getOverdrawMetrics(state, fps) {
+    const resolution = getDrawingBufferSize();
+    const pixels = resolution.x * resolution.y;
+    
+    return {
+        'Overdraw': `${state.layers}x`,
+        'Pixels/s': formatRate(pixels * state.layers * fps)
+    };
+}
+
+// Euler XYZ rotation matrix, shared by the GPU-rotated cube shaders
+const ROTATION_GLSL = `
+    mat3 rotationXYZ(vec3 angle) {
+        vec3 s = sin(angle);
+        vec3 c = cos(angle);
+        mat3 rx = mat3(1.0, 0.0, 0.0, 0.0, c.x, s.x, 0.0, -s.x, c.x);
+        mat3 ry = mat3(c.y, 0.0, -s.y, 0.0, 1.0, 0.0, s.y, 0.0, c.y);
+        mat3 rz = mat3(c.z, s.z, 0.0, -s.z, c.z, 0.0, 0.0, 0.0, 1.0);
+        return rz * ry * rx;
+    }
+`;
+
+// Per-instance rotation happens on the GPU so JavaScript never touches the instances after setup
+const INSTANCED_VERTEX_SHADER = `
+    uniform float uTime;
+    attribute vec3 aRotationSpeed;
+    attribute vec3 aInstanceColor;
+    varying vec3 vColor;
+    varying vec3 vNormal;
+    ${ROTATION_GLSL}
+
+    void main() {
+        mat3 rotation = rotationXYZ(aRotationSpeed * uTime);
+        vColor = aInstanceColor;
+        vNormal = normalize(normalMatrix * rotation * normal);
+        gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(rotation * position, 1.0);
+    }
+`;
+
+const INSTANCED_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+    varying vec3 vNormal;
+    void main() {
+        float diffuse = max(dot(normalize(vNormal), normalize(vec3(0.5, 0.7, 0.5))), 0.0);
+        gl_FragColor = vec4(vColor * (0.25 + 0.75 * diffuse), 1.0);
+    }
+`;
+
+// Create the instanced geometry workload (a single draw call for every cube)
+function createInstancedWorkload(config) {
+    const count = isMobile ? Math.floor(config.instances * 0.25) : config.instances;
+    const instanced = createInstancedCubeMesh(count);
+    
+    updateObjectsDisplay(count);
+    console.log(`Created ${count} instanced cubes (${instanced.triangles} triangles per frame)`);
+    
+    return { material: instanced.material, count, triangles: instanced.triangles };
+}
+
+// Add one InstancedMesh holding `count` GPU-rotated cubes to the scene
+function createInstancedCubeMesh(count) {
+    // Shrink the cubes as the count grows so the field stays readable
+    const size = Math.max(0.05, 0.5 * Math.cbrt(500 / count));
+    const geometry = new THREE.BoxGeometry(size, size, size);
+    const palette = [0x00ff88, 0xff4444, 0x4444ff, 0xffff44, 0xff44ff].map(hex => new THREE.Color(hex));
+    
+    const rotationSpeeds = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        rotationSpeeds[i * 3] = (Math.random() - 0.5) * 1.2;
+        rotationSpeeds[i * 3 + 1] = (Math.random() - 0.5) * 1.2;
+        rotationSpeeds[i * 3 + 2] = (Math.random() - 0.5) * 1.2;
+        
+        const color = palette[i % palette.length];
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+    }
+    geometry.setAttribute('aRotationSpeed', new THREE.InstancedBufferAttribute(rotationSpeeds, 3));
+    geometry.setAttribute('aInstanceColor', new THREE.InstancedBufferAttribute(colors, 3));
+    
+    const material = new THREE.ShaderMaterial({
+        uniforms: { uTime: { value: 0 } },
+        vertexShader: INSTANCED_VERTEX_SHADER,
+        fragmentShader: INSTANCED_FRAGMENT_SHADER
+    });
+    
+    const mesh = new THREE.InstancedMesh(geometry, material, count);
+    // Instances spread far beyond the box's own bounds
+    mesh.frustumCulled = false;
+    mesh.userData = {};
+    
+    // Translation-only instance matrices, written straight into the buffer
+    const matrices = mesh.instanceMatrix.array;
+    for (let i = 0; i < count; i++) {
+        const offset = i * 16;
+        matrices[offset] = 1;
+        matrices[offset + 5] = 1;
+        matrices[offset + 10] = 1;
+        matrices[offset + 12] = (Math.random() - 0.5) * 20;
+        matrices[offset + 13] = (Math.random() - 0.5) * 20;
+        matrices[offset + 14] = (Math.random() - 0.5) * 20;
+        matrices[offset + 15] = 1;
+    }
+    mesh.instanceMatrix.needsUpdate = true;
+    
+    scene.add(mesh);
+    testObjects.push(mesh);
+    
+    const trianglesPerInstance = geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3;
+    
+    return { mesh, material, triangles: trianglesPerInstance * count };
+}
+
+// Advance the shader-side rotation clock
+function updateInstancedWorkload(state, elapsedSeconds) {
+    state.material.uniforms.uTime.value = elapsedSeconds;
+}
+
+// Geometry throughput readouts
+function getInstancedMetrics(state, fps) {
+    return {
+        'Instances': state.count.toLocaleString(),
+        'Triangles/s': formatRate(state.triangles * fps),
+        'Draw Calls': 1
+    };
+}
+
+// Compile and link a raw WebGL program (for work that bypasses Three.js); attributes get fixed
+// locations, feedbackVaryings (WebGL2 only) are captured interleaved by transform feedback
+function compileGLProgram(gl, vertexSource, fragmentSource, attributes = [], feedbackVaryings = null) {
+    const compile = (type, source) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            throw new Error('Shader compile failed: ' + log);
+        }
+        return shader;
+    };
+    
+    const vertexShader = compile(gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentSource);
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    attributes.forEach((name, location) => gl.bindAttribLocation(program, location, name));
+    if (feedbackVaryings) {
+        gl.transformFeedbackVaryings(program, feedbackVaryings, gl.INTERLEAVED_ATTRIBS);
+    }
+    gl.linkProgram(program);
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        const log = gl.getProgramInfoLog(program);
+        gl.deleteProgram(program);
+        throw new Error('Program link failed: ' + log);
+    }
+    return program;
+}
+
+// Phased benchmarks (sweeps, format comparisons) time each phase separately
+const PHASE_WARMUP = 0.5; // Seconds ignored at the start of each phase (shader compiles, uploads)
+
+// Start a new timed phase
+function resetPhaseTiming(state) {
+    state.phaseStart = performance.now();
+    state.lastFrameTime = null;
+    state.frames = 0;
+    state.frameTimeTotal = 0;
+}
+
+// Seconds since the current phase started
+function getPhaseElapsed(state) {
+    return (performance.now() - state.phaseStart) / 1000;
+}
+
+// Accumulate the time since the previous frame once the phase is past its warmup
+function trackPhaseFrame(state) {
+    const now = performance.now();
+    if (getPhaseElapsed(state) > PHASE_WARMUP && state.lastFrameTime !== null) {
+        state.frameTimeTotal += now - state.lastFrameTime;
+        state.frames++;
+    }
+    state.lastFrameTime = now;
+}
+
+// Average frame time (ms) of the current phase, or null if nothing was measured
+function getPhaseFrameTime(state) {
+    return state.frames > 0 ? state.frameTimeTotal / state.frames : null;
+}
+
+// Draw call sweep: method labels and chart colours
+const DRAW_SWEEP_METHODS = {
+    separate: { label: 'Separate meshes', color: '#00ff88' },
+    instanced: { label: 'Instanced', color: '#4488ff' },
+    multidraw: { label: 'WEBGL_multi_draw', color: '#ffaa44' },
+    uniforms: { label: 'Uniform updates', color: '#ff44ff' },
+    materials: { label: 'Material switches', color: '#ff4444' }
+};
+
+// Multi-draw cubes: every vertex carries its cube centre, rotation is derived from it on the GPU
+const MULTIDRAW_VERTEX_SHADER = `
+    attribute vec3 aPosition;
+    attribute vec3 aNormal;
+    attribute vec3 aCenter;
+    uniform mat4 uViewProjection;
+    uniform float uTime;
+    varying vec3 vNormal;
+    ${ROTATION_GLSL}
+    void main() {
+        vec3 speed = (fract(aCenter * 0.137) - 0.5) * 1.2;
+        mat3 rotation = rotationXYZ(speed * uTime);
+        vNormal = rotation * aNormal;
+        gl_Position = uViewProjection * vec4(aCenter + rotation * aPosition, 1.0);
+    }
+`;
+
+const MULTIDRAW_FRAGMENT_SHADER = `
+    precision mediump float;
+    varying vec3 vNormal;
+    void main() {
+        float diffuse = max(dot(normalize(vNormal), normalize(vec3(0.5, 0.7, 0.5))), 0.0);
+        gl_FragColor = vec4(vec3(1.0, 0.67, 0.27) * (0.25 + 0.75 * diffuse), 1.0);
+    }
+`;
+
+// Flat-shaded cube material; VARIANT produces a distinct program per value
+const STATE_CHANGE_VERTEX_SHADER = `
+    varying vec3 vNormal;
+    void main() {
+        vNormal = normalMatrix * normal;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const STATE_CHANGE_FRAGMENT_SHADER = `
+    uniform vec3 uColor;
+    varying vec3 vNormal;
+    void main() {
+        float diffuse = max(dot(normalize(vNormal), normalize(vec3(0.5, 0.7, 0.5))), 0.0);
+        gl_FragColor = vec4(uColor * (0.25 + 0.75 * diffuse) * (1.0 - float(VARIANT) * 0.05), 1.0);
+    }
+`;
+
+// Create the draw call sweep: one timed phase per (method, draw count) pair
+function createDrawCallSweep(config) {
+    const gl = renderer.getContext();
+    const multiDraw = gl.getExtension('WEBGL_multi_draw');
+    const drawCounts = isMobile ? config.drawCounts.map(count => Math.floor(count * 0.5)) : config.drawCounts;
+    const maxCount = drawCounts[drawCounts.length - 1];
+    
+    const methods = ['separate', 'instanced'];
+    if (multiDraw) {
+        methods.push('multidraw');
+    } else {
+        console.warn('WEBGL_multi_draw not available - skipping multi-draw phases');
+    }
+    
+    const phases = [];
+    methods.forEach(method => {
+        drawCounts.forEach(count => phases.push({ method, count }));
+    });
+    // State change costs are measured at the highest draw count
+    phases.push({ method: 'uniforms', count: maxCount });
+    phases.push({ method: 'materials', count: maxCount });
+    
+    const state = {
+        phases,
+        phaseIndex: -1,
+        phaseDuration: testDuration / phases.length,
+        multiDraw,
+        multiDrawBatch: null,
+        phaseObjects: {},
+        samples: [],
+        sortObjects: renderer.sortObjects
+    };
+    
+    addDefaultLights();
+    startDrawCallPhase(state, 0);
+    
+    return state;
+}
+
+// Tear down the previous phase and build the scene for the next one
+function startDrawCallPhase(state, index) {
+    disposeTestObjects();
+    if (state.multiDrawBatch) {
+        disposeMultiDrawBatch(state.multiDrawBatch);
+        state.multiDrawBatch = null;
+    }
+    renderer.sortObjects = state.sortObjects;
+    
+    const phase = state.phases[index];
+    state.phaseIndex = index;
+    state.phaseObjects = {};
+    resetPhaseTiming(state);
+    
+    if (phase.method === 'separate') {
+        createCubeMeshes(phase.count);
+    } else if (phase.method === 'instanced') {
+        state.phaseObjects.instanced = createInstancedCubeMesh(phase.count);
+    } else if (phase.method === 'multidraw') {
+        state.multiDrawBatch = createMultiDrawBatch(phase.count, state.multiDraw);
+    } else if (phase.method === 'uniforms') {
+        // One material per cube, all sharing a program and one geometry; colours change every frame
+        state.phaseObjects.materials = [];
+        for (let i = 0; i < phase.count; i++) {
+            state.phaseObjects.materials.push(createStateChangeMaterial(0));
+        }
+        createCubeMeshes(phase.count, state.phaseObjects.materials);
+    } else if (phase.method === 'materials') {
+        // Eight distinct programs, interleaved and unsorted so every draw switches program
+        const materials = [];
+        for (let variant = 0; variant < 8; variant++) {
+            materials.push(createStateChangeMaterial(variant));
+        }
+        createCubeMeshes(phase.count, materials);
+        renderer.sortObjects = false;
+    }
+    
+    updateObjectsDisplay(`${phase.count} draws`);
+    console.log(`Draw call sweep phase ${index + 1}/${state.phases.length}: ${DRAW_SWEEP_METHODS[phase.method].label} x ${phase.count}`);
+}
+
+// Material used by the state change phases
+function createStateChangeMaterial(variant) {
+    return new THREE.ShaderMaterial({
+        defines: { VARIANT: variant },
+        uniforms: { uColor: { value: new THREE.Color(Math.random(), Math.random(), Math.random()) } },
+        vertexShader: STATE_CHANGE_VERTEX_SHADER,
+        fragmentShader: STATE_CHANGE_FRAGMENT_SHADER
+    });
+}
+
+// Bake `count` randomly placed cubes into flat, non-indexed vertex arrays for raw GL drawing;
+// every vertex carries its cube's centre so the vertex shader can spin the cube in place
+function bakeCubeField(count) {
+    const box = new THREE.BoxGeometry(0.5, 0.5, 0.5).toNonIndexed();
+    const localPositions = box.attributes.position.array;
+    const localNormals = box.attributes.normal.array;
+    const verticesPerCube = localPositions.length / 3;
+    box.dispose();
+    
+    const positions = new Float32Array(count * localPositions.length);
+    const normals = new Float32Array(count * localNormals.length);
+    const centers = new Float32Array(count * localPositions.length);
+    
+    for (let i = 0; i < count; i++) {
+        const offset = i * localPositions.length;
+        const cx = (Math.random() - 0.5) * 20;
+        const cy = (Math.random() - 0.5) * 20;
+        const cz = (Math.random() - 0.5) * 20;
+        positions.set(localPositions, offset);
+        normals.set(localNormals, offset);
+        for (let v = 0; v < verticesPerCube; v++) {
+            centers[offset + v * 3] = cx;
+            centers[offset + v * 3 + 1] = cy;
+            centers[offset + v * 3 + 2] = cz;
+        }
+    }
+    
+    return { positions, normals, centers, verticesPerCube };
+}
+
+// Pack `count` cubes into one buffer and record one multi-draw range per cube
+function createMultiDrawBatch(count, multiDraw) {
+    const gl = renderer.getContext();
+    const isWebGL2 = renderer.capabilities.isWebGL2;
+    const vaoExtension = isWebGL2 ? null : gl.getExtension('OES_vertex_array_object');
+    if (!isWebGL2 && !vaoExtension) {
+        console.warn('Multi-draw phase needs vertex array objects - skipping');
+        return null;
+    }
+    
+    const { positions, normals, centers, verticesPerCube } = bakeCubeField(count);
+    const firsts = new Int32Array(count);
+    const counts = new Int32Array(count).fill(verticesPerCube);
+    for (let i = 0; i < count; i++) {
+        firsts[i] = i * verticesPerCube;
+    }
+    
+    const program = compileGLProgram(gl, MULTIDRAW_VERTEX_SHADER, MULTIDRAW_FRAGMENT_SHADER, ['aPosition', 'aNormal', 'aCenter']);
+    const createVertexArray = () => isWebGL2 ? gl.createVertexArray() : vaoExtension.createVertexArrayOES();
+    const bindVertexArray = vao => isWebGL2 ? gl.bindVertexArray(vao) : vaoExtension.bindVertexArrayOES(vao);
+    const deleteVertexArray = vao => isWebGL2 ? gl.deleteVertexArray(vao) : vaoExtension.deleteVertexArrayOES(vao);
+    
+    const vao = createVertexArray();
+    bindVertexArray(vao);
+    const buffers = [positions, normals, centers].map((data, location) => {
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, 3, gl.FLOAT, false, 0, 0);
+        return buffer;
+    });
+    bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    renderer.resetState();
+    
+    return {
+        gl, multiDraw, program, vao, buffers, firsts, counts, count,
+        bindVertexArray, deleteVertexArray,
+        uViewProjection: gl.getUniformLocation(program, 'uViewProjection'),
+        uTime: gl.getUniformLocation(program, 'uTime'),
+        viewProjection: new THREE.Matrix4()
+    };
+}
+
+// Issue every cube in the batch with a single multiDrawArraysWEBGL call
+function drawMultiDrawBatch(batch, elapsedSeconds) {
+    const gl = batch.gl;
+    batch.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    
+    gl.useProgram(batch.program);
+    batch.bindVertexArray(batch.vao);
+    gl.uniformMatrix4fv(batch.uViewProjection, false, batch.viewProjection.elements);
+    gl.uniform1f(batch.uTime, elapsedSeconds);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LEQUAL);
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.CULL_FACE);
+    
+    batch.multiDraw.multiDrawArraysWEBGL(gl.TRIANGLES, batch.firsts, 0, batch.counts, 0, batch.count);
+    
+    batch.bindVertexArray(null);
+    // Hand the context back to Three.js with its state cache invalidated
+    renderer.resetState();
+}
+
+// Free the raw GL objects behind a multi-draw batch
+function disposeMultiDrawBatch(batch) {
+    const gl = batch.gl;
+    batch.deleteVertexArray(batch.vao);
+    batch.buffers.forEach(buffer => gl.deleteBuffer(buffer));
+    gl.deleteProgram(batch.program);
+}
+
+// Per-frame sweep bookkeeping: frame timing and phase changes
+function updateDrawCallSweep(state, elapsedSeconds) {
+    if (getPhaseElapsed(state) >= state.phaseDuration && state.phaseIndex < state.phases.length - 1) {
+        recordDrawCallPhase(state);
+        startDrawCallPhase(state, state.phaseIndex + 1);
+        return;
+    }
+    
+    trackPhaseFrame(state);
+    state.elapsedSeconds = elapsedSeconds;
+    
+    const phase = state.phases[state.phaseIndex];
+    if (phase.method === 'instanced') {
+        state.phaseObjects.instanced.material.uniforms.uTime.value = elapsedSeconds;
+    } else if (phase.method === 'uniforms') {
+        state.phaseObjects.materials.forEach(material => {
+            material.uniforms.uColor.value.setRGB(Math.random(), Math.random(), Math.random());
+        });
+    }
+}
+
+// Store the average frame time of the phase that just finished
+function recordDrawCallPhase(state) {
+    const phase = state.phases[state.phaseIndex];
+    const frameTime = getPhaseFrameTime(state);
+    if (phase.recorded || frameTime === null) return;
+    
+    phase.recorded = true;
+    state.samples.push({ method: phase.method, count: phase.count, frameTime });
+}
+
+// Render the Three.js scene, then the raw multi-draw batch on top when that phase is active
+function renderDrawCallSweep(state) {
+    renderer.render(scene, camera);
+    if (state.multiDrawBatch) {
+        drawMultiDrawBatch(state.multiDrawBatch, state.elapsedSeconds || 0);
+    }
+}
+
+// Live readouts: current phase and its frame time
+function getDrawCallSweepMetrics(state, fps) {
+    const phase = state.phases[state.phaseIndex];
+    return {
+        'Phase': `${state.phaseIndex + 1}/${state.phases.length} ${DRAW_SWEEP_METHODS[phase.method].label}`,
+        'Draw Calls': phase.method === 'instanced' ? `1 (${phase.count} cubes)` : phase.count,
+        'Frame Time': `${(1000 / Math.max(fps, 1)).toFixed(1)} ms`
+    };
+}
+
+// Frame time curve per method, state change costs and a bottleneck verdict
+function getDrawCallSweepReport(state) {
+    recordDrawCallPhase(state);
+    
+    const sampleFor = (method, count) => state.samples.find(sample => sample.method === method && sample.count === count);
+    const maxCount = state.phases[state.phases.length - 1].count;
+    const separate = sampleFor('separate', maxCount);
+    const instanced = sampleFor('instanced', maxCount);
+    const metrics = {};
+    
+    if (separate && instanced) {
+        const ratio = separate.frameTime / instanced.frameTime;
+        if (separate.frameTime < 18 && instanced.frameTime < 18) {
+            metrics['Bottleneck'] = 'None at this level (refresh-rate capped)';
+        } else if (ratio >= 1.5) {
+            metrics['Bottleneck'] = `CPU / driver - separate draws ${ratio.toFixed(1)}x slower than instancing`;
+        } else {
+            metrics['Bottleneck'] = 'GPU - instancing barely helps';
+        }
+        
+        // Extra cost per draw relative to the plain separate-mesh phase at the same count
+        ['uniforms', 'materials'].forEach(method => {
+            const sample = sampleFor(method, maxCount);
+            if (sample) {
+                const perDraw = (sample.frameTime - separate.frameTime) * 1000 / maxCount;
+                metrics[`${DRAW_SWEEP_METHODS[method].label} Cost`] = `${Math.max(0, perDraw).toFixed(2)} µs/draw`;
+            }
+        });
+    }
+    if (!state.multiDraw) {
+        metrics['WEBGL_multi_draw'] = 'Not supported';
+    }
+    
+    const methods = Object.keys(DRAW_SWEEP_METHODS).filter(method => state.samples.some(sample => sample.method === method));
+    return {
+        metrics,
+        table: {
+            columns: ['Method', 'Draw Calls', 'Frame Time', 'FPS'],
+            rows: state.samples.map(sample => [
+                DRAW_SWEEP_METHODS[sample.method].label,
+                sample.count,
+                `${sample.frameTime.toFixed(2)} ms`,
+                Math.round(1000 / sample.frameTime)
+            ])
+        },
+        chart: {
+            xLabel: 'Draw calls',
+            yLabel: 'Frame time (ms)',
+            series: methods.map(method => ({
+                name: DRAW_SWEEP_METHODS[method].label,
+                color: DRAW_SWEEP_METHODS[method].color,
+                points: state.samples
+                    .filter(sample => sample.method === method)
+                    .map(sample => [sample.count, Number(sample.frameTime.toFixed(2))])
+            }))
+        }
+    };
+}
+
+// Release sweep-only resources and restore renderer settings
+function disposeDrawCallSweep(state) {
+    if (state.multiDrawBatch) {
+        disposeMultiDrawBatch(state.multiDrawBatch);
+        state.multiDrawBatch = null;
+    }
+    renderer.sortObjects = state.sortObjects;
+}
+
+// Procedural texture generator: tileable colour bands plus per-texel noise so no two texels match
+const TEXTURE_GENERATOR_FRAGMENT_SHADER = `
+    uniform float uSeed;
+    uniform float uSize;
+    varying vec2 vUv;
+    
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7)) + uSeed) * 43758.5453);
+    }
+    
+    void main() {
+        const float TAU = 6.28318530718;
+        vec3 bands = 0.5 + 0.5 * sin(TAU * (vec3(vUv.x * 3.0, vUv.y * 5.0, (vUv.x + vUv.y) * 7.0) + uSeed));
+        float noise = hash(floor(vUv * uSize));
+        gl_FragColor = vec4(mix(bands, vec3(noise), 0.35), 1.0);
+    }
+`;
+
+// Sampling shader: SAMPLES offsets per pixel into every texture; fetches are unrolled so
+// sampler array indices stay constant (required by GLSL ES 3.00)
+function buildTextureSamplerShader(textureCount) {
+    let fetches = '';
+    for (let t = 0; t < textureCount; t++) {
+        fetches += `sum += texture2D(uTextures[${t}], sampleUv);\n`;
+    }
+    
+    return `
+        uniform sampler2D uTextures[${textureCount}];
+        uniform vec2 uOffsets[SAMPLES];
+        uniform vec2 uScale;
+        varying vec2 vUv;
+        
+        float hash(vec2 p) {
+            return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+        
+        void main() {
+            // Random jump per 32x32 pixel block keeps derivatives (and so mip selection) sane
+            vec2 block = floor(gl_FragCoord.xy / 32.0);
+            vec2 jitter = vec2(hash(block), hash(block + 17.0));
+            vec2 uv = vUv * uScale;
+            vec4 sum = vec4(0.0);
+            
+            for (int i = 0; i < SAMPLES; i++) {
+                vec2 sampleUv = uv + uOffsets[i] + jitter;
+                ${fetches}
+            }
+            
+            gl_FragColor = vec4(sum.rgb / float(SAMPLES * ${textureCount}), 1.0);
+        }
+    `;
+}
+
+// Render one procedural texture (with a full mip chain) into a render target
+function generateProceduralTexture(size, seed, anisotropy) {
+    const target = new THREE.WebGLRenderTarget(size, size, {
+        wrapS: THREE.RepeatWrapping,
+        wrapT: THREE.RepeatWrapping,
+        magFilter: THREE.LinearFilter,
+        minFilter: THREE.LinearMipmapLinearFilter,
+        generateMipmaps: true,
+        anisotropy,
+        depthBuffer: false
+    });
+    
+    const generatorScene = new THREE.Scene();
+    const quad = createFullscreenQuad(new THREE.ShaderMaterial({
+        uniforms: {
+            uSeed: { value: seed },
+            uSize: { value: size }
+        },
+        vertexShader: FULLSCREEN_VERTEX_SHADER,
+        fragmentShader: TEXTURE_GENERATOR_FRAGMENT_SHADER,
+        depthTest: false,
+        depthWrite: false
+    }));
+    generatorScene.add(quad);
+    
+    // Three.js regenerates the mip chain when rendering into the target finishes
+    renderer.setRenderTarget(target);
+    renderer.render(generatorScene, camera);
+    renderer.setRenderTarget(null);
+    
+    quad.geometry.dispose();
+    quad.material.dispose();
+    
+    return target;
+}
+
+// Create the texture bandwidth workload
+function createTextureWorkload(config) {
+    const maxSize = renderer.capabilities.maxTextureSize;
+    const requestedSize = isMobile ? config.textureSize / 2 : config.textureSize;
+    const textureSize = Math.min(requestedSize, maxSize);
+    const samples = isMobile ? Math.floor(config.samples * 0.5) : config.samples;
+    const anisotropy = renderer.capabilities.getMaxAnisotropy();
+    
+    if (textureSize < requestedSize) {
+        console.warn(`Texture size capped to maxTextureSize (${maxSize})`);
+    }
+    
+    const targets = [];
+    for (let i = 0; i < config.textures; i++) {
+        targets.push(generateProceduralTexture(textureSize, i * 1.618, anisotropy));
+    }
+    
+    const offsets = [];
+    for (let i = 0; i < samples; i++) {
+        offsets.push(new THREE.Vector2(Math.random(), Math.random()));
+    }
+    
+    const material = new THREE.ShaderMaterial({
+        defines: { SAMPLES: samples },
+        uniforms: {
+            uTextures: { value: targets.map(target => target.texture) },
+            uOffsets: { value: offsets },
+            uScale: { value: new THREE.Vector2() }
+        },
+        vertexShader: FULLSCREEN_VERTEX_SHADER,
+        fragmentShader: buildTextureSamplerShader(targets.length),
+        depthWrite: false,
+        depthTest: false
+    });
+    
+    const quad = createFullscreenQuad(material);
+    scene.add(quad);
+    testObjects.push(quad);
+    
+    // RGBA8 plus a full mip chain (4/3 of the base level)
+    const textureBytes = targets.length * textureSize * textureSize * 4 * 4 / 3;
+    
+    updateObjectsDisplay(`${targets.length} x ${textureSize}²`);
+    console.log(`Created ${targets.length} procedural ${textureSize}x${textureSize} textures (${formatBytes(textureBytes)}), ${samples} samples, ${anisotropy}x anisotropy`);
+    
+    return { material, targets, textureSize, samples, anisotropy, textureBytes };
+}
+
+// Jump to fresh random offsets every frame; map roughly one texel per pixel across and
+// four down so the anisotropic filter has work to do
+function updateTextureWorkload(state, elapsedSeconds) {
+    const resolution = getDrawingBufferSize();
+    state.material.uniforms.uScale.value.set(
+        resolution.x / state.textureSize,
+        resolution.y * 4 / state.textureSize
+    );
+    state.material.uniforms.uOffsets.value.forEach(offset => offset.set(Math.random(), Math.random()));
+}
+
+// Texture bandwidth readouts
+function getTextureMetrics(state, fps) {
+    const resolution = getDrawingBufferSize();
+    const fetches = resolution.x * resolution.y * state.samples * state.targets.length;
+    
+    return {
+        'Texels/s': formatRate(fetches * fps),
+        'Texture Memory': formatBytes(state.textureBytes),
+        'Anisotropy': `${state.anisotropy}x`
+    };
+}
+
+// Free the procedural textures
+function disposeTextureWorkload(state) {
+    state.targets.forEach(target => target.dispose());
+}
+
+// Compressed texture families benchmarked against uncompressed RGBA8. `key` matches
+// detectWebGLSupport().compressedFormats; all encoders work on 4x4 blocks. `voidExtentOnly` formats
+// are only encoded as constant-colour blocks, which decode on a fast path - they count for support
+// but are kept out of the speed comparison.
+const COMPRESSED_TEXTURE_FORMATS = [
+    { key: 's3tc', label: 'S3TC (BC1)', extension: 'WEBGL_compressed_texture_s3tc', glEnum: 'COMPRESSED_RGB_S3TC_DXT1_EXT', threeFormat: 'RGB_S3TC_DXT1_Format', blockBytes: 8, encodeBlock: encodeBC1Block },
+    { key: 'etc2', label: 'ETC2 (RGB8)', extension: 'WEBGL_compressed_texture_etc', glEnum: 'COMPRESSED_RGB8_ETC2', threeFormat: 'RGB_ETC2_Format', blockBytes: 8, encodeBlock: encodeETC2Block },
+    { key: 'astc', label: 'ASTC 4x4', extension: 'WEBGL_compressed_texture_astc', glEnum: 'COMPRESSED_RGBA_ASTC_4x4_KHR', threeFormat: 'RGBA_ASTC_4x4_Format', blockBytes: 16, encodeBlock: encodeASTCBlock, voidExtentOnly: true },
+    { key: 'bptc', label: 'BPTC (BC7)', extension: 'EXT_texture_compression_bptc', glEnum: 'COMPRESSED_RGBA_BPTC_UNORM_EXT', threeFormat: 'RGBA_BPTC_Format', blockBytes: 16, encodeBlock: encodeBC7Block }
+];
+const UPLOAD_REPEATS = 5; // Uploads averaged per format
+
+// Same look as the GPU texture generator, built on the CPU so it can be block-compressed
+function generateSourcePixels(size) {
+    const TAU = Math.PI * 2;
+    const pixels = new Uint8Array(size * size * 4);
+    
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const u = x / size;
+            const v = y / size;
+            const noise = Math.random();
+            const bands = [
+                0.5 + 0.5 * Math.sin(TAU * u * 3),
+                0.5 + 0.5 * Math.sin(TAU * v * 5),
+                0.5 + 0.5 * Math.sin(TAU * (u + v) * 7)
+            ];
+            const i = (y * size + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                pixels[i + c] = Math.round((bands[c] * 0.65 + noise * 0.35) * 255);
+            }
+            pixels[i + 3] = 255;
+        }
+    }
+    
+    return pixels;
+}
+
+// Split an RGBA image into 4x4 blocks (16 RGBA pixels, row-major) and encode each one
+function encodeBlocks(pixels, size, blockBytes, encodeBlock) {
+    const blocksPerRow = size / 4;
+    const output = new Uint8Array(blocksPerRow * blocksPerRow * blockBytes);
+    const block = new Uint8Array(64);
+    
+    for (let by = 0; by < blocksPerRow; by++) {
+        for (let bx = 0; bx < blocksPerRow; bx++) {
+            for (let y = 0; y < 4; y++) {
+                const rowStart = ((by * 4 + y) * size + bx * 4) * 4;
+                block.set(pixels.subarray(rowStart, rowStart + 16), y * 16);
+            }
+            encodeBlock(block, output, (by * blocksPerRow + bx) * blockBytes);
+        }
+    }
+    
+    return output;
+}
+
+// Write `count` bits of `value` LSB-first starting at bit `position` of a block
+function writeBlockBits(output, offset, position, value, count) {
+    for (let i = 0; i < count; i++) {
+        if ((value >> i) & 1) {
+            const bit = position + i;
+            output[offset + (bit >> 3)] |= 1 << (bit & 7);
+        }
+    }
+    return position + count;
+}
+
+// Per-channel min/max of a block (the bounding box endpoints used by BC1 and BC7)
+function getBlockBounds(block, channels) {
+    const min = new Array(channels).fill(255);
+    const max = new Array(channels).fill(0);
+    for (let i = 0; i < 16; i++) {
+        for (let c = 0; c < channels; c++) {
+            min[c] = Math.min(min[c], block[i * 4 + c]);
+            max[c] = Math.max(max[c], block[i * 4 + c]);
+        }
+    }
+    return { min, max };
+}
+
+// Position of a pixel along the min->max endpoint axis, 0..1
+function projectOnAxis(block, i, from, axis, axisLengthSq, channels) {
+    if (axisLengthSq === 0) return 0;
+    let dot = 0;
+    for (let c = 0; c < channels; c++) {
+        dot += (block[i * 4 + c] - from[c]) * axis[c];
+    }
+    return Math.min(1, Math.max(0, dot / axisLengthSq));
+}
+
+// BC1 / DXT1: two RGB565 endpoints, 2-bit indices into a 4-colour palette
+function encodeBC1Block(block, output, offset) {
+    const { min, max } = getBlockBounds(block, 3);
+    const toRGB565 = c => ((c[0] >> 3) << 11) | ((c[1] >> 2) << 5) | (c[2] >> 3);
+    const color0 = toRGB565(max);
+    const color1 = toRGB565(min);
+    let indices = 0;
+    
+    // color0 > color1 selects 4-colour mode; equal endpoints leave every index at 0
+    if (color0 !== color1) {
+        const axis = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+        const axisLengthSq = axis[0] * axis[0] + axis[1] * axis[1] + axis[2] * axis[2];
+        for (let i = 0; i < 16; i++) {
+            const t = projectOnAxis(block, i, min, axis, axisLengthSq, 3);
+            // Palette order: 0 = color0, 1 = color1, 2 = 2/3 color0, 3 = 1/3 color0
+            const index = t > 5 / 6 ? 0 : t > 1 / 2 ? 2 : t > 1 / 6 ? 3 : 1;
+            indices |= index << (i * 2);
+        }
+    }
+    
+    output[offset] = color0 & 0xff;
+    output[offset + 1] = color0 >> 8;
+    output[offset + 2] = color1 & 0xff;
+    output[offset + 3] = color1 >> 8;
+    for (let i = 0; i < 4; i++) {
+        output[offset + 4 + i] = (indices >>> (i * 8)) & 0xff;
+    }
+}
+
+// ETC1 modifier tables (also used by ETC2's individual mode)
+const ETC_MODIFIERS = [[2, 8], [5, 17], [9, 29], [13, 42], [18, 60], [24, 80], [33, 106], [47, 183]];
+
+// ETC2 RGB8 in ETC1-compatible individual mode: two 2x4 halves, each with an RGB444 base
+// colour and a modifier table; 2-bit per-pixel modifier indices
+function encodeETC2Block(block, output, offset) {
+    const bases = [];
+    const tables = [];
+    let msbBits = 0;
+    let lsbBits = 0;
+    
+    for (let half = 0; half < 2; half++) {
+        // Half pixel p (0-7) sits at x = half * 2 + (p >> 2), y = p & 3
+        const base = [0, 0, 0];
+        for (let c = 0; c < 3; c++) {
+            let sum = 0;
+            for (let p = 0; p < 8; p++) {
+                sum += block[((p & 3) * 4 + half * 2 + (p >> 2)) * 4 + c];
+            }
+            base[c] = Math.min(15, Math.round(sum / 8 / 17));
+        }
+        
+        // Pick the table (and per-pixel modifiers) with the least squared error
+        let bestError = Infinity;
+        let bestTable = 0;
+        let bestIndices = 0;
+        for (let t = 0; t < ETC_MODIFIERS.length && bestError > 0; t++) {
+            let error = 0;
+            let indices = 0;
+            for (let p = 0; p < 8 && error < bestError; p++) {
+                const i = ((p & 3) * 4 + half * 2 + (p >> 2)) * 4;
+                let pixelError = Infinity;
+                let pixelIndex = 0;
+                // Index order: 0 = +small, 1 = +large, 2 = -small, 3 = -large
+                for (let m = 0; m < 4; m++) {
+                    const modifier = (m & 2 ? -1 : 1) * ETC_MODIFIERS[t][m & 1];
+                    let candidateError = 0;
+                    for (let c = 0; c < 3; c++) {
+                        const diff = Math.min(255, Math.max(0, base[c] * 17 + modifier)) - block[i + c];
+                        candidateError += diff * diff;
+                    }
+                    if (candidateError < pixelError) {
+                        pixelError = candidateError;
+                        pixelIndex = m;
+                    }
+                }
+                error += pixelError;
+                indices |= pixelIndex << (p * 2);
+            }
+            if (error < bestError) {
+                bestError = error;
+                bestTable = t;
+                bestIndices = indices;
+            }
+        }
+        
+        bases.push(base);
+        tables.push(bestTable);
+        // Pixel indices are stored column-major: bit (x * 4 + y)
+        for (let p = 0; p < 8; p++) {
+            const bit = (half * 2 + (p >> 2)) * 4 + (p & 3);
+            const index = (bestIndices >> (p * 2)) & 3;
+            msbBits |= (index >> 1) << bit;
+            lsbBits |= (index & 1) << bit;
+        }
+    }
+    
+    // Big-endian 64-bit block; diff bit and flip bit are both 0
+    const high = (bases[0][0] << 28) | (bases[1][0] << 24) | (bases[0][1] << 20) | (bases[1][1] << 16) |
+        (bases[0][2] << 12) | (bases[1][2] << 8) | (tables[0] << 5) | (tables[1] << 2);
+    const low = (msbBits << 16) | lsbBits;
+    for (let i = 0; i < 4; i++) {
+        output[offset + i] = (high >>> (24 - i * 8)) & 0xff;
+        output[offset + 4 + i] = (low >>> (24 - i * 8)) & 0xff;
+    }
+}
+
+// ASTC 4x4 void-extent blocks: one constant RGBA16 colour per block. A full ASTC endpoint
+// and weight encoder is far too slow to run in the page; void-extent blocks are still
+// valid ASTC that goes through the same upload path and texture cache.
+function encodeASTCBlock(block, output, offset) {
+    const header = [0xfc, 0xfd, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+    output.set(header, offset);
+    
+    for (let c = 0; c < 4; c++) {
+        let sum = 0;
+        for (let i = 0; i < 16; i++) sum += block[i * 4 + c];
+        const value = Math.round(sum / 16) * 257;
+        output[offset + 8 + c * 2] = value & 0xff;
+        output[offset + 9 + c * 2] = value >> 8;
+    }
+}
+
+// BC7 mode 6: one RGBA subset, 7-bit endpoints plus a p-bit each, 4-bit indices
+function encodeBC7Block(block, output, offset) {
+    const BC7_WEIGHTS = [0, 4, 9, 13, 17, 21, 26, 30, 34, 38, 43, 47, 51, 55, 60, 64];
+    const { min, max } = getBlockBounds(block, 4);
+    let endpoint0 = min.map(v => v >> 1);
+    let endpoint1 = max.map(v => v >> 1);
+    let pBit0 = 0;
+    let pBit1 = 1;
+    
+    const color0 = endpoint0.map(v => (v << 1) | pBit0);
+    const color1 = endpoint1.map(v => (v << 1) | pBit1);
+    const axis = color1.map((v, c) => v - color0[c]);
+    const axisLengthSq = axis.reduce((sum, v) => sum + v * v, 0);
+    let indices = [];
+    for (let i = 0; i < 16; i++) {
+        const t = projectOnAxis(block, i, color0, axis, axisLengthSq, 4);
+        // Nearest of the 16 interpolation weights
+        const weight = t * 64;
+        let index = 0;
+        for (let w = 1; w < 16; w++) {
+            if (Math.abs(BC7_WEIGHTS[w] - weight) < Math.abs(BC7_WEIGHTS[index] - weight)) index = w;
+        }
+        indices.push(index);
+    }
+    
+    // The anchor (first) index is stored with 3 bits, so its top bit must be 0
+    if (indices[0] & 8) {
+        [endpoint0, endpoint1] = [endpoint1, endpoint0];
+        [pBit0, pBit1] = [pBit1, pBit0];
+        indices = indices.map(index => 15 - index);
+    }
+    
+    let position = writeBlockBits(output, offset, 0, 1 << 6, 7);
+    for (let c = 0; c < 4; c++) {
+        position = writeBlockBits(output, offset, position, endpoint0[c], 7);
+        position = writeBlockBits(output, offset, position, endpoint1[c], 7);
+    }
+    position = writeBlockBits(output, offset, position, pBit0, 1);
+    position = writeBlockBits(output, offset, position, pBit1, 1);
+    position = writeBlockBits(output, offset, position, indices[0], 3);
+    for (let i = 1; i < 16; i++) {
+        position = writeBlockBits(output, offset, position, indices[i], 4);
+    }
+}
+
+// Time uploads of one texture through raw GL; returns milliseconds per upload
+function measureTextureUpload(gl, upload) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    upload(); // First upload allocates storage; not timed
+    gl.finish();
+    
+    const start = performance.now();
+    for (let i = 0; i < UPLOAD_REPEATS; i++) {
+        upload();
+    }
+    gl.finish();
+    const uploadTime = (performance.now() - start) / UPLOAD_REPEATS;
+    
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.deleteTexture(texture);
+    renderer.resetState();
+    
+    return uploadTime;
+}
+
+// Create the compressed texture comparison: RGBA8 baseline plus every supported format
+function createCompressedTextureWorkload(config) {
+    const gl = renderer.getContext();
+    const supported = (webglSupportInfo && webglSupportInfo.compressedFormats) || {};
+    const textureSize = Math.min(isMobile ? config.textureSize / 2 : config.textureSize, renderer.capabilities.maxTextureSize);
+    const samples = isMobile ? Math.floor(config.samples * 0.5) : config.samples;
+    const pixels = generateSourcePixels(textureSize);
+    
+    const entries = [];
+    
+    // Uncompressed baseline
+    const baseline = new THREE.DataTexture(pixels, textureSize, textureSize, THREE.RGBAFormat);
+    entries.push({
+        key: 'rgba8',
+        label: 'RGBA8 (uncompressed)',
+        supported: true,
+        bytes: pixels.length,
+        texture: baseline,
+        uploadTime: measureTextureUpload(gl, () => {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, textureSize, textureSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        })
+    });
+    
+    COMPRESSED_TEXTURE_FORMATS.forEach(format => {
+        const extension = supported[format.key] ? renderer.extensions.get(format.extension) : null;
+        const threeFormat = THREE[format.threeFormat];
+        const entry = { key: format.key, label: format.label, supported: !!extension, voidExtentOnly: !!format.voidExtentOnly };
+        entries.push(entry);
+        if (!extension) return;
+        if (threeFormat === undefined) {
+            console.warn(`${format.label} supported but not by this Three.js build - skipping`);
+            entry.supported = false;
+            return;
+        }
+        
+        const encodeStart = performance.now();
+        const data = encodeBlocks(pixels, textureSize, format.blockBytes, format.encodeBlock);
+        entry.encodeTime = performance.now() - encodeStart;
+        entry.bytes = data.length;
+        entry.uploadTime = measureTextureUpload(gl, () => {
+            gl.compressedTexImage2D(gl.TEXTURE_2D, 0, extension[format.glEnum], textureSize, textureSize, 0, data);
+        });
+        entry.texture = new THREE.CompressedTexture([{ data, width: textureSize, height: textureSize }], textureSize, textureSize, threeFormat);
+    });
+    
+    // Sampled without mipmaps: compressed data only carries level 0
+    entries.forEach(entry => {
+        if (!entry.texture) return;
+        entry.texture.wrapS = THREE.RepeatWrapping;
+        entry.texture.wrapT = THREE.RepeatWrapping;
+        entry.texture.minFilter = THREE.LinearFilter;
+        entry.texture.magFilter = THREE.LinearFilter;
+        entry.texture.generateMipmaps = false;
+        entry.texture.needsUpdate = true;
+    });
+    
+    const offsets = [];
+    for (let i = 0; i < samples; i++) {
+        offsets.push(new THREE.Vector2(Math.random(), Math.random()));
+    }
+    
+    const material = new THREE.ShaderMaterial({
+        defines: { SAMPLES: samples },
+        uniforms: {
+            uTextures: { value: [baseline] },
+            uOffsets: { value: offsets },
+            uScale: { value: new THREE.Vector2() }
+        },
+        vertexShader: FULLSCREEN_VERTEX_SHADER,
+        fragmentShader: buildTextureSamplerShader(1),
+        depthWrite: false,
+        depthTest: false
+    });
+    
+    const quad = createFullscreenQuad(material);
+    scene.add(quad);
+    testObjects.push(quad);
+    
+    const phases = entries.filter(entry => entry.texture);
+    const state = {
+        material,
+        entries,
+        phases,
+        phaseIndex: 0,
+        phaseDuration: testDuration / phases.length,
+        textureSize,
+        samples
+    };
+    resetPhaseTiming(state);
+    
+    updateObjectsDisplay(`${phases.length} formats @ ${textureSize}²`);
+    console.log(`Compressed texture formats: ${entries.map(entry => `${entry.label} ${entry.supported ? '✅' : '❌'}`).join(', ')}`);
+    
+    return state;
+}
+
+// Advance through the formats, sampling the current one at fresh random offsets each frame
+function updateCompressedTextureWorkload(state, elapsedSeconds) {
+    if (getPhaseElapsed(state) >= state.phaseDuration && state.phaseIndex < state.phases.length - 1) {
+        recordCompressedTexturePhase(state);
+        state.phaseIndex++;
+        state.material.uniforms.uTextures.value = [state.phases[state.phaseIndex].texture];
+        resetPhaseTiming(state);
+        return;
+    }
+    
+    trackPhaseFrame(state);
+    
+    const resolution = getDrawingBufferSize();
+    state.material.uniforms.uScale.value.set(resolution.x / state.textureSize, resolution.y / state.textureSize);
+    state.material.uniforms.uOffsets.value.forEach(offset => offset.set(Math.random(), Math.random()));
+}
+
+// Store the sampling frame time of the format that just finished
+function recordCompressedTexturePhase(state) {
+    const entry = state.phases[state.phaseIndex];
+    const frameTime = getPhaseFrameTime(state);
+    if (entry.frameTime === undefined && frameTime !== null) {
+        entry.frameTime = frameTime;
+    }
+}
+
+// Texels fetched per second at a given frame time (ms)
+function getCompressedTexelRate(state, frameTime) {
+    const resolution = getDrawingBufferSize();
+    return resolution.x * resolution.y * state.samples * 1000 / frameTime;
+}
+
+// Live readouts: current format and its sampling rate
+function getCompressedTextureMetrics(state, fps) {
+    const entry = state.phases[state.phaseIndex];
+    return {
+        'Format': `${state.phaseIndex + 1}/${state.phases.length} ${entry.label}`,
+        'Texels/s': formatRate(getCompressedTexelRate(state, 1000 / Math.max(fps, 1))),
+        'Upload': `${entry.uploadTime.toFixed(2)} ms`
+    };
+}
+
+// Support matrix with upload and sampling speed relative to RGBA8
+function getCompressedTextureReport(state) {
+    recordCompressedTexturePhase(state);
+    
+    const baseline = state.entries[0];
+    const measured = state.entries.filter(entry => entry.frameTime !== undefined);
+    const fastest = measured
+        .filter(entry => !entry.voidExtentOnly)
+        .reduce((best, entry) => (!best || entry.frameTime < best.frameTime ? entry : best), null);
+    const supportedLabels = state.entries.filter(entry => entry.key !== 'rgba8' && entry.supported).map(entry => entry.label);
+    
+    const metrics = {
+        'Supported Formats': supportedLabels.length ? supportedLabels.join(', ') : 'None',
+        'Texture Size': `${state.textureSize} x ${state.textureSize}`
+    };
+    if (fastest) metrics['Fastest Sampling'] = fastest.label;
+    if (state.entries.some(entry => entry.voidExtentOnly && entry.supported)) {
+        metrics['Note'] = 'ASTC is encoded as constant-colour void-extent blocks only, so its speed is not comparable';
+    }
+    
+    return {
+        metrics,
+        table: {
+            columns: ['Format', 'Supported', 'Size', 'Upload', 'Texels/s', 'Sampling vs RGBA8'],
+            rows: state.entries.map(entry => {
+                if (!entry.supported) return [entry.label, '❌', '-', '-', '-', '-'];
+                const sampled = entry.frameTime !== undefined && baseline.frameTime !== undefined;
+                return [
+                    entry.voidExtentOnly ? `${entry.label} (void-extent only)` : entry.label,
+                    '✅',
+                    formatBytes(entry.bytes),
+                    `${entry.uploadTime.toFixed(2)} ms (${formatRate(entry.bytes * 1000 / entry.uploadTime, 'B/s')})`,
+                    entry.frameTime !== undefined ? formatRate(getCompressedTexelRate(state, entry.frameTime)) : '-',
+                    sampled && !entry.voidExtentOnly ? `${(baseline.frameTime / entry.frameTime).toFixed(2)}x` : '-'
+                ];
+            })
+        }
+    };
+}
+
+// Free every format's texture (the quad itself goes with testObjects)
+function disposeCompressedTextureWorkload(state) {
+    state.entries.forEach(entry => {
+        if (entry.texture) entry.texture.dispose();
+    });
+}
+
+// Create the shadow workload: shadow-casting cubes over a floor, lit by orbiting point and spot lights
+function createShadowWorkload(config) {
+    const objectCount = isMobile ? Math.floor(config.objects * 0.5) : config.objects;
+    const shadowMapSize = isMobile ? config.shadowMapSize / 2 : config.shadowMapSize;
+    const lightColors = [0xffffff, 0xffaa66, 0x66aaff, 0xaaff66];
+    
+    const previousShadowMap = { enabled: renderer.shadowMap.enabled, type: renderer.shadowMap.type };
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    
+    createCubeMeshes(objectCount).forEach(cube => {
+        cube.castShadow = true;
+        cube.receiveShadow = true;
+    });
+    
+    const floor = new THREE.Mesh(
+        new THREE.PlaneGeometry(40, 40),
+        new THREE.MeshPhongMaterial({ color: 0x333333 })
+    );
+    floor.rotation.x = -Math.PI / 2;
+    floor.position.y = -11;
+    floor.receiveShadow = true;
+    scene.add(floor);
+    testObjects.push(floor);
+    
+    scene.add(new THREE.AmbientLight(0x404040, 0.3));
+    
+    const lights = [];
+    const renderedMapSizes = {};
+    for (let i = 0; i < config.pointLights + config.spotLights; i++) {
+        const color = lightColors[i % lightColors.length];
+        const isPoint = i < config.pointLights;
+        const light = isPoint
+            ? new THREE.PointLight(color, 0.8, 40)
+            : new THREE.SpotLight(color, 0.8, 50, Math.PI / 5, 0.3);
+        
+        light.castShadow = true;
+        light.shadow.mapSize.set(shadowMapSize, shadowMapSize);
+        renderedMapSizes[isPoint ? 'point' : 'spot'] = getRenderedShadowMapSize(light);
+        light.shadow.camera.near = 0.5;
+        light.shadow.camera.far = 50;
+        light.userData = {
+            orbitRadius: isPoint ? 6 + i * 2 : 14,
+            orbitSpeed: 0.3 + i * 0.15,
+            orbitPhase: (i / (config.pointLights + config.spotLights)) * Math.PI * 2,
+            height: isPoint ? 4 : 14
+        };
+        
+        scene.add(light);
+        if (light.isSpotLight) scene.add(light.target);
+        lights.push(light);
+    }
+    
+    updateObjectsDisplay(`${objectCount} + ${lights.length} lights`);
+    console.log(`Created shadow scene - ${objectCount} cubes, ${config.pointLights} point + ${config.spotLights} spot lights, ${shadowMapSize}² shadow maps requested`);
+    
+    return {
+        lights,
+        previousShadowMap,
+        objectCount,
+        renderedMapSizes,
+        pointLights: config.pointLights,
+        spotLights: config.spotLights
+    };
+}
+
+// Shadow map size three.js will actually render: WebGLShadowMap shrinks mapSize when the
+// light's frame extents (4x2 faces for a point light) would not fit in maxTextureSize
+function getRenderedShadowMapSize(light) {
+    const maxTextureSize = renderer.capabilities.maxTextureSize;
+    const extents = light.shadow.getFrameExtents();
+    const mapSize = light.shadow.mapSize;
+    const x = mapSize.x * extents.x > maxTextureSize ? Math.floor(maxTextureSize / extents.x) : mapSize.x;
+    const y = mapSize.y * extents.y > maxTextureSize ? Math.floor(maxTextureSize / extents.y) : mapSize.y;
+    return x === y ? `${x}²` : `${x}x${y}`;
+}
+
+// Orbit the lights so every shadow map changes each frame
+function updateShadowWorkload(state, elapsedSeconds) {
+    state.lights.forEach(light => {
+        const orbit = light.userData;
+        const angle = orbit.orbitPhase + elapsedSeconds * orbit.orbitSpeed;
+        light.position.set(Math.cos(angle) * orbit.orbitRadius, orbit.height, Math.sin(angle) * orbit.orbitRadius);
+    });
+}
+
+// Shadow readouts: depth passes and shadow caster draws per second (before culling)
+function getShadowMetrics(state, fps) {
+    // Point light shadows render a cube map: six depth passes each
+    const depthPasses = state.pointLights * 6 + state.spotLights;
+    
+    return {
+        'Lights': `${state.pointLights} point + ${state.spotLights} spot`,
+        'Shadow Map': state.renderedMapSizes.point === state.renderedMapSizes.spot
+            ? state.renderedMapSizes.point
+            : `${state.renderedMapSizes.point} point, ${state.renderedMapSizes.spot} spot`,
+        'Depth Passes/s': formatRate(depthPasses * fps),
+        'Shadow Draws/s': formatRate(depthPasses * state.objectCount * fps)
+    };
+}
+
+// Free the shadow maps and restore the renderer's shadow settings
+function disposeShadowWorkload(state) {
+    state.lights.forEach(light => {
+        if (light.isSpotLight) scene.remove(light.target);
+        light.dispose();
+    });
+    renderer.shadowMap.enabled = state.previousShadowMap.enabled;
+    renderer.shadowMap.type = state.previousShadowMap.type;
+}
+
+// GPU timing for individual passes: EXT_disjoint_timer_query where available, otherwise
+// gl.finish() fences around each pass on one sampled frame per second
+function createGPUTimer() {
+    const gl = renderer.getContext();
+    const isWebGL2 = renderer.capabilities.isWebGL2;
+    const ext = isWebGL2
+        ? gl.getExtension('EXT_disjoint_timer_query_webgl2')
+        : gl.getExtension('EXT_disjoint_timer_query');
+    
+    return {
+        gl,
+        isWebGL2,
+        ext,
+        mode: ext ? 'query' : 'finish',
+        sampling: false,
+        lastSample: 0,
+        active: null,
+        pending: [],
+        totals: {},
+        counts: {}
+    };
+}
+
+// Call once per frame before any beginGPUTimer()
+function beginGPUTimerFrame(timer) {
+    if (timer.mode === 'query') {
+        pollGPUTimer(timer);
+        timer.sampling = true;
+        return;
+    }
+    
+    const now = performance.now();
+    timer.sampling = now - timer.lastSample >= 1000;
+    if (timer.sampling) timer.lastSample = now;
+}
+
+// Start timing the GPU work issued until endGPUTimer()
+function beginGPUTimer(timer, key) {
+    if (!timer.sampling) return;
+    const { gl, ext } = timer;
+    
+    if (timer.mode === 'finish') {
+        gl.finish();
+        timer.active = { key, start: performance.now() };
+        return;
+    }
+    
+    // One query in flight per key; results arrive a few frames later
+    if (timer.pending.some(entry => entry.key === key)) return;
+    const query = timer.isWebGL2 ? gl.createQuery() : ext.createQueryEXT();
+    if (timer.isWebGL2) {
+        gl.beginQuery(ext.TIME_ELAPSED_EXT, query);
+    } else {
+        ext.beginQueryEXT(ext.TIME_ELAPSED_EXT, query);
+    }
+    timer.active = { key, query };
+}
+
+// Finish the measurement started by beginGPUTimer()
+function endGPUTimer(timer) {
+    const active = timer.active;
+    if (!active) return;
+    timer.active = null;
+    const { gl, ext } = timer;
+    
+    if (timer.mode === 'finish') {
+        gl.finish();
+        addGPUTimerSample(timer, active.key, performance.now() - active.start);
+        return;
+    }
+    
+    if (timer.isWebGL2) {
+        gl.endQuery(ext.TIME_ELAPSED_EXT);
+    } else {
+        ext.endQueryEXT(ext.TIME_ELAPSED_EXT);
+    }
+    timer.pending.push(active);
+}
+
+// Collect finished timer queries; results from disjoint periods (clock changes etc.) are dropped
+function pollGPUTimer(timer) {
+    const { gl, ext } = timer;
+    const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+    
+    timer.pending = timer.pending.filter(entry => {
+        const available = timer.isWebGL2
+            ? gl.getQueryParameter(entry.query, gl.QUERY_RESULT_AVAILABLE)
+            : ext.getQueryObjectEXT(entry.query, ext.QUERY_RESULT_AVAILABLE_EXT);
+        if (!available) return true;
+        
+        if (!disjoint) {
+            const nanoseconds = timer.isWebGL2
+                ? gl.getQueryParameter(entry.query, gl.QUERY_RESULT)
+                : ext.getQueryObjectEXT(entry.query, ext.QUERY_RESULT_EXT);
+            addGPUTimerSample(timer, entry.key, nanoseconds / 1e6);
+        }
+        deleteGPUTimerQuery(timer, entry.query);
+        return false;
+    });
+}
+
+function addGPUTimerSample(timer, key, milliseconds) {
+    timer.totals[key] = (timer.totals[key] || 0) + milliseconds;
+    timer.counts[key] = (timer.counts[key] || 0) + 1;
+}
+
+function deleteGPUTimerQuery(timer, query) {
+    if (timer.isWebGL2) {
+        timer.gl.deleteQuery(query);
+    } else {
+        timer.ext.deleteQueryEXT(query);
+    }
+}
+
+// Average milliseconds per key, or null if the key was never measured
+function getGPUTimerAverage(timer, key) {
+    return timer.counts[key] ? timer.totals[key] / timer.counts[key] : null;
+}
+
+// Drop any queries still in flight
+function disposeGPUTimer(timer) {
+    timer.pending.forEach(entry => deleteGPUTimerQuery(timer, entry.query));
+    timer.pending = [];
+}
+
+// Keep only pixels brighter than the threshold (bloom source)
+const BRIGHT_PASS_FRAGMENT_SHADER = `
+    uniform sampler2D tInput;
+    uniform float uThreshold;
+    varying vec2 vUv;
+    void main() {
+        vec3 color = texture2D(tInput, vUv).rgb;
+        float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+        gl_FragColor = vec4(color * smoothstep(uThreshold, uThreshold + 0.2, luminance), 1.0);
+    }
+`;
+
+// Separable 9-tap Gaussian, using linear filtering to fetch two taps at once
+const GAUSSIAN_BLUR_FRAGMENT_SHADER = `
+    uniform sampler2D tInput;
+    uniform vec2 uDirection;
+    varying vec2 vUv;
+    void main() {
+        vec3 sum = texture2D(tInput, vUv).rgb * 0.2270270270;
+        sum += (texture2D(tInput, vUv + uDirection * 1.3846153846).rgb + texture2D(tInput, vUv - uDirection * 1.3846153846).rgb) * 0.3162162162;
+        sum += (texture2D(tInput, vUv + uDirection * 3.2307692308).rgb + texture2D(tInput, vUv - uDirection * 3.2307692308).rgb) * 0.0702702703;
+        gl_FragColor = vec4(sum, 1.0);
+    }
+`;
+
+const BLOOM_COMPOSITE_FRAGMENT_SHADER = `
+    uniform sampler2D tInput;
+    uniform sampler2D tBloom;
+    uniform float uStrength;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = vec4(texture2D(tInput, vUv).rgb + texture2D(tBloom, vUv).rgb * uStrength, 1.0);
+    }
+`;
+
+// Depth of field: golden-angle disc blur sized by each pixel's circle of confusion
+const DEPTH_OF_FIELD_FRAGMENT_SHADER = `
+    uniform sampler2D tInput;
+    uniform sampler2D tDepth;
+    uniform vec2 uTexel;
+    uniform float uFocus;
+    uniform float uAperture;
+    uniform float uNear;
+    uniform float uFar;
+    varying vec2 vUv;
+    
+    float linearDepth(float depth) {
+        float z = depth * 2.0 - 1.0;
+        return 2.0 * uNear * uFar / (uFar + uNear - z * (uFar - uNear));
+    }
+    
+    void main() {
+        float coc = clamp(abs(linearDepth(texture2D(tDepth, vUv).x) - uFocus) * uAperture, 0.0, 1.0);
+        vec3 sum = vec3(0.0);
+        for (int i = 0; i < DOF_TAPS; i++) {
+            float angle = float(i) * 2.39996323;
+            float radius = sqrt(float(i) / float(DOF_TAPS)) * coc * 8.0;
+            sum += texture2D(tInput, vUv + vec2(cos(angle), sin(angle)) * radius * uTexel).rgb;
+        }
+        gl_FragColor = vec4(sum / float(DOF_TAPS), 1.0);
+    }
+`;
+
+// ACES filmic tone mapping curve followed by gamma encoding
+const TONE_MAPPING_FRAGMENT_SHADER = `
+    uniform sampler2D tInput;
+    uniform float uExposure;
+    varying vec2 vUv;
+    
+    vec3 aces(vec3 x) {
+        return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+    }
+    
+    void main() {
+        vec3 color = aces(texture2D(tInput, vUv).rgb * uExposure);
+        gl_FragColor = vec4(pow(color, vec3(1.0 / 2.2)), 1.0);
+    }
+`;
+
+// Upper bounds for the pass counts entered on the level page
+const POST_MAX_BLUR_PASSES = 16;
+const POST_MAX_DOF_PASSES = 8;
+
+// Pass count from a level-page input, or the level's default when the field is empty or invalid
+function readPostPassCount(inputId, fallback, max) {
+    const input = document.getElementById(inputId);
+    const value = input ? parseInt(input.value, 10) : NaN;
+    return Number.isFinite(value) && value >= 0 ? Math.min(value, max) : fallback;
+}
+
+// Whether the depth of field passes can sample scene depth (core in WebGL2, an extension in WebGL1)
+function supportsDepthTexture() {
+    return renderer.capabilities.isWebGL2 || renderer.extensions.has('WEBGL_depth_texture');
+}
+
+// Off-screen colour target for the post chain (half float where the context can render to it)
+function createPostTarget(width, height) {
+    return new THREE.WebGLRenderTarget(width, height, {
+        minFilter: THREE.LinearFilter,
+        magFilter: THREE.LinearFilter,
+        type: renderer.capabilities.isWebGL2 ? THREE.HalfFloatType : THREE.UnsignedByteType,
+        depthBuffer: false
+    });
+}
+
+// One full-screen pass: its own scene with a quad, rendered into `output` (null = the canvas)
+function createPostPass(name, fragmentShader, uniforms, output, defines = {}) {
+    const material = new THREE.ShaderMaterial({
+        defines,
+        uniforms,
+        vertexShader: FULLSCREEN_VERTEX_SHADER,
+        fragmentShader,
+        depthTest: false,
+        depthWrite: false
+    });
+    const passScene = new THREE.Scene();
+    passScene.add(createFullscreenQuad(material));
+    
+    return { name, scene: passScene, material, output };
+}
+
+// Create the post-processing workload: cube field rendered off-screen, then the pass chain
+function createPostProcessingWorkload(config) {
+    const objectCount = isMobile ? Math.floor(config.objects * 0.5) : config.objects;
+    const levelBlurPasses = isMobile ? Math.max(1, Math.floor(config.blurPasses / 2)) : config.blurPasses;
+    const blurPasses = readPostPassCount('post-blur-passes', levelBlurPasses, POST_MAX_BLUR_PASSES);
+    
+    // Without depth textures the chain runs depth-free: bloom and tone mapping only
+    const depthTextures = supportsDepthTexture();
+    const dofPasses = depthTextures ? readPostPassCount('post-dof-passes', config.dofPasses, POST_MAX_DOF_PASSES) : 0;
+    if (!depthTextures) {
+        console.warn('⚠️ WEBGL_depth_texture not available - skipping the depth of field passes');
+    }
+    
+    createCubeMeshes(objectCount);
+    addDefaultLights();
+    
+    const size = getDrawingBufferSize();
+    const halfWidth = Math.max(1, Math.floor(size.x / 2));
+    const halfHeight = Math.max(1, Math.floor(size.y / 2));
+    
+    // Scene colour + depth, bloom ping-pong at half resolution, full resolution ping-pong for DOF
+    const sceneTarget = createPostTarget(size.x, size.y);
+    sceneTarget.depthBuffer = true;
+    if (depthTextures) {
+        sceneTarget.depthTexture = new THREE.DepthTexture(size.x, size.y);
+    }
+    const bloomTargets = [createPostTarget(halfWidth, halfHeight), createPostTarget(halfWidth, halfHeight)];
+    const fullTargets = [createPostTarget(size.x, size.y), createPostTarget(size.x, size.y)];
+    
+    const passes = [];
+    passes.push(createPostPass('Bright Pass', BRIGHT_PASS_FRAGMENT_SHADER, {
+        tInput: { value: sceneTarget.texture },
+        uThreshold: { value: 0.6 }
+    }, bloomTargets[0]));
+    
+    for (let i = 0; i < blurPasses; i++) {
+        passes.push(createPostPass(`Blur H ${i + 1}`, GAUSSIAN_BLUR_FRAGMENT_SHADER, {
+            tInput: { value: bloomTargets[0].texture },
+            uDirection: { value: new THREE.Vector2((i + 1) / halfWidth, 0) }
+        }, bloomTargets[1]));
+        passes.push(createPostPass(`Blur V ${i + 1}`, GAUSSIAN_BLUR_FRAGMENT_SHADER, {
+            tInput: { value: bloomTargets[1].texture },
+            uDirection: { value: new THREE.Vector2(0, (i + 1) / halfHeight) }
+        }, bloomTargets[0]));
+    }
+    
+    passes.push(createPostPass('Bloom Composite', BLOOM_COMPOSITE_FRAGMENT_SHADER, {
+        tInput: { value: sceneTarget.texture },
+        tBloom: { value: bloomTargets[0].texture },
+        uStrength: { value: 1.2 }
+    }, fullTargets[0]));
+    
+    for (let i = 0; i < dofPasses; i++) {
+        passes.push(createPostPass(`Depth of Field ${i + 1}`, DEPTH_OF_FIELD_FRAGMENT_SHADER, {
+            tInput: { value: fullTargets[i % 2].texture },
+            tDepth: { value: sceneTarget.depthTexture },
+            uTexel: { value: new THREE.Vector2(1 / size.x, 1 / size.y) },
+            uFocus: { value: 15 },
+            uAperture: { value: 0.08 },
+            uNear: { value: camera.near },
+            uFar: { value: camera.far }
+        }, fullTargets[(i + 1) % 2], { DOF_TAPS: 16 }));
+    }
+    
+    passes.push(createPostPass('Tone Mapping', TONE_MAPPING_FRAGMENT_SHADER, {
+        tInput: { value: fullTargets[dofPasses % 2].texture },
+        uExposure: { value: 1.1 }
+    }, null));
+    
+    updateObjectsDisplay(`${objectCount} + ${passes.length} passes`);
+    console.log(`Created post-processing chain - ${passes.map(pass => pass.name).join(' → ')}`);
+    
+    return {
+        sceneTarget,
+        bloomTargets,
+        fullTargets,
+        passes,
+        depthTextures,
+        timer: createGPUTimer(),
+        width: size.x,
+        height: size.y
+    };
+}
+
+// Follow canvas resizes and keep the depth of field focused on the centre of the field
+function updatePostProcessingWorkload(state, elapsedSeconds) {
+    const size = getDrawingBufferSize();
+    if (size.x !== state.width || size.y !== state.height) {
+        const halfWidth = Math.max(1, Math.floor(size.x / 2));
+        const halfHeight = Math.max(1, Math.floor(size.y / 2));
+        state.sceneTarget.setSize(size.x, size.y);
+        state.fullTargets.forEach(target => target.setSize(size.x, size.y));
+        state.bloomTargets.forEach(target => target.setSize(halfWidth, halfHeight));
+        state.width = size.x;
+        state.height = size.y;
+    }
+    
+    const focus = camera.position.length();
+    state.passes.forEach(pass => {
+        const uniforms = pass.material.uniforms;
+        if (uniforms.uFocus) {
+            uniforms.uFocus.value = focus;
+            uniforms.uTexel.value.set(1 / size.x, 1 / size.y);
+        }
+    });
+}
+
+// Scene into its target, then every pass in order, each wrapped in a GPU timer
+function renderPostProcessingWorkload(state) {
+    const timer = state.timer;
+    beginGPUTimerFrame(timer);
+    
+    beginGPUTimer(timer, 'Scene');
+    renderer.setRenderTarget(state.sceneTarget);
+    renderer.render(scene, camera);
+    endGPUTimer(timer);
+    
+    state.passes.forEach(pass => {
+        beginGPUTimer(timer, pass.name);
+        renderer.setRenderTarget(pass.output);
+        renderer.render(pass.scene, camera);
+        endGPUTimer(timer);
+    });
+    
+    renderer.setRenderTarget(null);
+}
+
+// Total GPU time of the post chain so far (ms per frame)
+function getPostChainTime(state) {
+    return state.passes.reduce((total, pass) => total + (getGPUTimerAverage(state.timer, pass.name) || 0), 0);
+}
+
+// Live readouts: pass count and post-processing share of the frame
+function getPostProcessingMetrics(state, fps) {
+    const sceneTime = getGPUTimerAverage(state.timer, 'Scene');
+    const postTime = getPostChainTime(state);
+    
+    return {
+        'Passes': state.passes.length,
+        'Scene': sceneTime === null ? '-' : `${sceneTime.toFixed(2)} ms`,
+        'Post Chain': `${postTime.toFixed(2)} ms`,
+        'Timing': state.timer.mode === 'query' ? 'GPU timer queries' : 'gl.finish() sampling'
+    };
+}
+
+// Per-pass GPU time table
+function getPostProcessingReport(state) {
+    const timer = state.timer;
+    const sceneTime = getGPUTimerAverage(timer, 'Scene') || 0;
+    const postTime = getPostChainTime(state);
+    const frameTime = sceneTime + postTime;
+    const rows = [{ name: 'Scene', resolution: `${state.width}x${state.height}` }]
+        .concat(state.passes.map(pass => ({
+            name: pass.name,
+            resolution: pass.output ? `${pass.output.width}x${pass.output.height}` : `${state.width}x${state.height}`
+        })));
+    
+    const metrics = {
+        'Passes': state.passes.length,
+        'Scene': `${sceneTime.toFixed(2)} ms`,
+        'Post Chain': `${postTime.toFixed(2)} ms`,
+        'Post Share': frameTime > 0 ? `${Math.round(postTime / frameTime * 100)}% of GPU time` : '-',
+        'Timing': timer.mode === 'query' ? 'GPU timer queries' : 'gl.finish() sampling (1 frame/s)'
+    };
+    if (!state.depthTextures) {
+        metrics['Depth of Field'] = 'Skipped (no WEBGL_depth_texture)';
+    }
+    
+    return {
+        metrics,
+        table: {
+            columns: ['Pass', 'Resolution', 'GPU Time', 'Share'],
+            rows: rows.map(row => {
+                const time = getGPUTimerAverage(timer, row.name);
+                return [
+                    row.name,
+                    row.resolution,
+                    time === null ? '-' : `${time.toFixed(3)} ms`,
+                    time === null || frameTime === 0 ? '-' : `${(time / frameTime * 100).toFixed(1)}%`
+                ];
+            })
+        }
+    };
+}
+
+// Free render targets, pass materials and pending timer queries
+function disposePostProcessingWorkload(state) {
+    renderer.setRenderTarget(null);
+    disposeGPUTimer(state.timer);
+    state.passes.forEach(pass => {
+        const quad = pass.scene.children[0];
+        quad.geometry.dispose();
+        pass.material.dispose();
+    });
+    if (state.depthTextures) {
+        state.sceneTarget.depthTexture.dispose();
+    }
+    [state.sceneTarget].concat(state.bloomTargets, state.fullTargets).forEach(target => target.dispose());
+}
+
+// Particle simulation step: two orbiting attractors plus a swirl around Y, written back
+// through transform feedback
+const PARTICLE_SIMULATION_VERTEX_SHADER = `#version 300 es
+    in vec3 aPosition;
+    in vec3 aVelocity;
+    uniform float uTime;
+    uniform float uDelta;
+    out vec3 vPosition;
+    out vec3 vVelocity;
+    
+    void main() {
+        vec3 attractor = vec3(cos(uTime * 0.7), sin(uTime * 0.5), sin(uTime * 0.7)) * 6.0;
+        vec3 toFirst = attractor - aPosition;
+        vec3 toSecond = -attractor - aPosition;
+        vec3 force = toFirst / (dot(toFirst, toFirst) + 1.0) * 40.0
+                   + toSecond / (dot(toSecond, toSecond) + 1.0) * 40.0
+                   + cross(vec3(0.0, 1.0, 0.0), aPosition) * 0.3;
+        
+        vec3 velocity = (aVelocity + force * uDelta) * 0.995;
+        vec3 position = aPosition + velocity * uDelta;
+        
+        // Respawn particles that escape the field
+        if (length(position) > 30.0) {
+            position = normalize(position) * 2.0;
+            velocity = vec3(0.0);
+        }
+        
+        vPosition = position;
+        vVelocity = velocity;
+    }
+`;
+
+// Never runs (RASTERIZER_DISCARD), but a program needs a fragment shader to link
+const PARTICLE_SIMULATION_FRAGMENT_SHADER = `#version 300 es
+    precision mediump float;
+    out vec4 fragColor;
+    void main() {
+        fragColor = vec4(0.0);
+    }
+`;
+
+const PARTICLE_RENDER_VERTEX_SHADER = `#version 300 es
+    in vec3 aPosition;
+    in vec3 aVelocity;
+    uniform mat4 uViewProjection;
+    out vec3 vColor;
+    
+    void main() {
+        gl_Position = uViewProjection * vec4(aPosition, 1.0);
+        gl_PointSize = 1.5;
+        vColor = mix(vec3(0.1, 0.4, 1.0), vec3(1.0, 0.6, 0.2), clamp(length(aVelocity) * 0.1, 0.0, 1.0));
+    }
+`;
+
+const PARTICLE_RENDER_FRAGMENT_SHADER = `#version 300 es
+    precision mediump float;
+    in vec3 vColor;
+    out vec4 fragColor;
+    void main() {
+        fragColor = vec4(vColor * 0.35, 1.0);
+    }
+`;
+
+const PARTICLE_STRIDE = 6 * 4; // Interleaved position + velocity, 32-bit floats
+
+// Create the transform feedback particle workload (WebGL2 only - see requiresWebGL2)
+function createParticleWorkload(config) {
+    const gl = renderer.getContext();
+    const count = isMobile ? Math.floor(config.particles * 0.5) : config.particles;
+    
+    // Random positions inside a sphere, at rest
+    const data = new Float32Array(count * 6);
+    for (let i = 0; i < count; i++) {
+        const direction = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
+        const radius = Math.cbrt(Math.random()) * 10;
+        data[i * 6] = direction.x * radius;
+        data[i * 6 + 1] = direction.y * radius;
+        data[i * 6 + 2] = direction.z * radius;
+    }
+    
+    const simulationProgram = compileGLProgram(gl, PARTICLE_SIMULATION_VERTEX_SHADER, PARTICLE_SIMULATION_FRAGMENT_SHADER,
+        ['aPosition', 'aVelocity'], ['vPosition', 'vVelocity']);
+    const renderProgram = compileGLProgram(gl, PARTICLE_RENDER_VERTEX_SHADER, PARTICLE_RENDER_FRAGMENT_SHADER,
+        ['aPosition', 'aVelocity']);
+    
+    // Two buffers ping-pong: the simulation reads one and captures into the other
+    const buffers = [0, 1].map(() => {
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_COPY);
+        return buffer;
+    });
+    
+    const vertexArrays = buffers.map(buffer => {
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 3, gl.FLOAT, false, PARTICLE_STRIDE, 0);
+        gl.enableVertexAttribArray(1);
+        gl.vertexAttribPointer(1, 3, gl.FLOAT, false, PARTICLE_STRIDE, 12);
+        return vao;
+    });
+    gl.bindVertexArray(null);
+    
+    const feedbacks = buffers.map(buffer => {
+        const feedback = gl.createTransformFeedback();
+        gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, feedback);
+        gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, buffer);
+        return feedback;
+    });
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    renderer.resetState();
+    
+    updateObjectsDisplay(`${formatRate(count)} particles`);
+    console.log(`Created ${count} transform feedback particles (${formatBytes(data.byteLength * 2)} of buffers)`);
+    
+    return {
+        gl,
+        count,
+        simulationProgram,
+        renderProgram,
+        buffers,
+        vertexArrays,
+        feedbacks,
+        current: 0,
+        elapsedSeconds: 0,
+        delta: 0,
+        uniforms: {
+            time: gl.getUniformLocation(simulationProgram, 'uTime'),
+            delta: gl.getUniformLocation(simulationProgram, 'uDelta'),
+            viewProjection: gl.getUniformLocation(renderProgram, 'uViewProjection')
+        },
+        viewProjection: new THREE.Matrix4()
+    };
+}
+
+// Track the simulation clock (capped step so a stalled tab doesn't explode the field)
+function updateParticleWorkload(state, elapsedSeconds) {
+    state.delta = Math.min(Math.max(elapsedSeconds - state.elapsedSeconds, 0), 0.05);
+    state.elapsedSeconds = elapsedSeconds;
+}
+
+// One simulation step into the other buffer, then draw the result as additive points
+function renderParticleWorkload(state) {
+    renderer.render(scene, camera);
+    
+    const { gl, uniforms } = state;
+    const next = 1 - state.current;
+    
+    gl.useProgram(state.simulationProgram);
+    gl.uniform1f(uniforms.time, state.elapsedSeconds);
+    gl.uniform1f(uniforms.delta, state.delta);
+    gl.bindVertexArray(state.vertexArrays[state.current]);
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, state.feedbacks[next]);
+    gl.enable(gl.RASTERIZER_DISCARD);
+    gl.beginTransformFeedback(gl.POINTS);
+    gl.drawArrays(gl.POINTS, 0, state.count);
+    gl.endTransformFeedback();
+    gl.disable(gl.RASTERIZER_DISCARD);
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+    
+    state.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    gl.useProgram(state.renderProgram);
+    gl.uniformMatrix4fv(uniforms.viewProjection, false, state.viewProjection.elements);
+    gl.bindVertexArray(state.vertexArrays[next]);
+    gl.disable(gl.DEPTH_TEST);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.drawArrays(gl.POINTS, 0, state.count);
+    
+    gl.bindVertexArray(null);
+    state.current = next;
+    renderer.resetState();
+}
+
+// Particle throughput readouts (one simulation step per frame)
+function getParticleMetrics(state, fps) {
+    return {
+        'Particles': formatRate(state.count),
+        'Particles Updated/s': formatRate(state.count * fps),
+        'Buffer Memory': formatBytes(state.count * PARTICLE_STRIDE * 2)
+    };
+}
+
+// Free the particle buffers, vertex arrays, feedback objects and programs
+function disposeParticleWorkload(state) {
+    const gl = state.gl;
+    state.feedbacks.forEach(feedback => gl.deleteTransformFeedback(feedback));
+    state.vertexArrays.forEach(vao => gl.deleteVertexArray(vao));
+    state.buffers.forEach(buffer => gl.deleteBuffer(buffer));
+    gl.deleteProgram(state.simulationProgram);
+    gl.deleteProgram(state.renderProgram);
+}
+
+// Fluid solver shaders (stable fluids). Velocity is stored in cells per second; every field
+// uses nearest sampling and the advection step filters manually, so float textures
+// without linear filtering still work.
+const FLUID_ADVECTION_FRAGMENT_SHADER = `
+    uniform sampler2D uVelocity;
+    uniform sampler2D uSource;
+    uniform vec2 uTexel;
+    uniform float uDelta;
+    uniform float uDissipation;
+    varying vec2 vUv;
+    
+    vec4 bilerp(sampler2D field, vec2 uv) {
+        vec2 st = uv / uTexel - 0.5;
+        vec2 cell = floor(st);
+        vec2 f = fract(st);
+        vec4 a = texture2D(field, (cell + vec2(0.5, 0.5)) * uTexel);
+        vec4 b = texture2D(field, (cell + vec2(1.5, 0.5)) * uTexel);
+        vec4 c = texture2D(field, (cell + vec2(0.5, 1.5)) * uTexel);
+        vec4 d = texture2D(field, (cell + vec2(1.5, 1.5)) * uTexel);
+        return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+    }
+    
+    void main() {
+        vec2 coord = vUv - uDelta * bilerp(uVelocity, vUv).xy * uTexel;
+        gl_FragColor = uDissipation * bilerp(uSource, coord);
+    }
+`;
+
+const FLUID_DIVERGENCE_FRAGMENT_SHADER = `
+    uniform sampler2D uVelocity;
+    uniform vec2 uTexel;
+    varying vec2 vUv;
+    void main() {
+        float left = texture2D(uVelocity, vUv - vec2(uTexel.x, 0.0)).x;
+        float right = texture2D(uVelocity, vUv + vec2(uTexel.x, 0.0)).x;
+        float bottom = texture2D(uVelocity, vUv - vec2(0.0, uTexel.y)).y;
+        float top = texture2D(uVelocity, vUv + vec2(0.0, uTexel.y)).y;
+        gl_FragColor = vec4(0.5 * (right - left + top - bottom), 0.0, 0.0, 1.0);
+    }
+`;
+
+const FLUID_CURL_FRAGMENT_SHADER = `
+    uniform sampler2D uVelocity;
+    uniform vec2 uTexel;
+    varying vec2 vUv;
+    void main() {
+        float left = texture2D(uVelocity, vUv - vec2(uTexel.x, 0.0)).y;
+        float right = texture2D(uVelocity, vUv + vec2(uTexel.x, 0.0)).y;
+        float bottom = texture2D(uVelocity, vUv - vec2(0.0, uTexel.y)).x;
+        float top = texture2D(uVelocity, vUv + vec2(0.0, uTexel.y)).x;
+        gl_FragColor = vec4(0.5 * (right - left - top + bottom), 0.0, 0.0, 1.0);
+    }
+`;
+
+// Vorticity confinement: push velocity along the curl gradient to keep small eddies alive
+const FLUID_VORTICITY_FRAGMENT_SHADER = `
+    uniform sampler2D uVelocity;
+    uniform sampler2D uCurl;
+    uniform vec2 uTexel;
+    uniform float uCurlStrength;
+    uniform float uDelta;
+    varying vec2 vUv;
+    void main() {
+        float left = texture2D(uCurl, vUv - vec2(uTexel.x, 0.0)).x;
+        float right = texture2D(uCurl, vUv + vec2(uTexel.x, 0.0)).x;
+        float bottom = texture2D(uCurl, vUv - vec2(0.0, uTexel.y)).x;
+        float top = texture2D(uCurl, vUv + vec2(0.0, uTexel.y)).x;
+        float center = texture2D(uCurl, vUv).x;
+        
+        vec2 force = 0.5 * vec2(abs(top) - abs(bottom), abs(right) - abs(left));
+        force = force / (length(force) + 0.0001) * uCurlStrength * center;
+        force.y *= -1.0;
+        
+        vec2 velocity = texture2D(uVelocity, vUv).xy + force * uDelta;
+        gl_FragColor = vec4(velocity, 0.0, 1.0);
+    }
+`;
+
+// One Jacobi iteration of the pressure Poisson equation
+const FLUID_PRESSURE_FRAGMENT_SHADER = `
+    uniform sampler2D uPressure;
+    uniform sampler2D uDivergence;
+    uniform vec2 uTexel;
+    varying vec2 vUv;
+    void main() {
+        float left = texture2D(uPressure, vUv - vec2(uTexel.x, 0.0)).x;
+        float right = texture2D(uPressure, vUv + vec2(uTexel.x, 0.0)).x;
+        float bottom = texture2D(uPressure, vUv - vec2(0.0, uTexel.y)).x;
+        float top = texture2D(uPressure, vUv + vec2(0.0, uTexel.y)).x;
+        float divergence = texture2D(uDivergence, vUv).x;
+        gl_FragColor = vec4((left + right + bottom + top - divergence) * 0.25, 0.0, 0.0, 1.0);
+    }
+`;
+
+// Make the velocity field divergence-free
+const FLUID_GRADIENT_SUBTRACT_FRAGMENT_SHADER = `
+    uniform sampler2D uPressure;
+    uniform sampler2D uVelocity;
+    uniform vec2 uTexel;
+    varying vec2 vUv;
+    void main() {
+        float left = texture2D(uPressure, vUv - vec2(uTexel.x, 0.0)).x;
+        float right = texture2D(uPressure, vUv + vec2(uTexel.x, 0.0)).x;
+        float bottom = texture2D(uPressure, vUv - vec2(0.0, uTexel.y)).x;
+        float top = texture2D(uPressure, vUv + vec2(0.0, uTexel.y)).x;
+        vec2 velocity = texture2D(uVelocity, vUv).xy - 0.5 * vec2(right - left, top - bottom);
+        gl_FragColor = vec4(velocity, 0.0, 1.0);
+    }
+`;
+
+const FLUID_SCALE_FRAGMENT_SHADER = `
+    uniform sampler2D uSource;
+    uniform float uValue;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = uValue * texture2D(uSource, vUv);
+    }
+`;
+
+// Add a Gaussian blob of velocity or dye
+const FLUID_SPLAT_FRAGMENT_SHADER = `
+    uniform sampler2D uTarget;
+    uniform vec2 uPoint;
+    uniform vec3 uColor;
+    uniform float uRadius;
+    varying vec2 vUv;
+    void main() {
+        vec2 offset = vUv - uPoint;
+        vec3 splat = exp(-dot(offset, offset) / uRadius) * uColor;
+        gl_FragColor = vec4(texture2D(uTarget, vUv).xyz + splat, 1.0);
+    }
+`;
+
+const FLUID_DISPLAY_FRAGMENT_SHADER = `
+    uniform sampler2D uSource;
+    varying vec2 vUv;
+    void main() {
+        gl_FragColor = vec4(clamp(texture2D(uSource, vUv).rgb, 0.0, 1.0), 1.0);
+    }
+`;
+
+const FLUID_TIME_STEP = 1 / 60; // Fixed solver step so the simulation is identical at any frame rate
+const FLUID_EMITTERS = 3;
+
+// Float render target for a fluid field
+function createFluidTarget(size, type) {
+    return new THREE.WebGLRenderTarget(size, size, {
+        type,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        wrapS: THREE.ClampToEdgeWrapping,
+        wrapT: THREE.ClampToEdgeWrapping,
+        depthBuffer: false
+    });
+}
+
+// Double-buffered field: passes read `read` and render into `write`, then swap
+function createFluidTargetPair(size, type) {
+    return { read: createFluidTarget(size, type), write: createFluidTarget(size, type) };
+}
+
+function swapFluidTargets(pair) {
+    const read = pair.read;
+    pair.read = pair.write;
+    pair.write = read;
+}
+
+// Render one solver pass into a target with the shared full-screen quad
+function runFluidPass(state, material, target) {
+    state.passCount++;
+    state.quad.material = material;
+    renderer.setRenderTarget(target);
+    renderer.render(state.passScene, camera);
+}
+
+// Create the fluid workload: solver fields, one material per solver stage
+function createFluidWorkload(config) {
+    const gridSize = isMobile ? config.gridSize / 2 : config.gridSize;
+    const type = getFloatRenderTargetType();
+    const texel = new THREE.Vector2(1 / gridSize, 1 / gridSize);
+    
+    const createMaterial = (fragmentShader, uniforms) => new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: FULLSCREEN_VERTEX_SHADER,
+        fragmentShader,
+        depthTest: false,
+        depthWrite: false
+    });
+    
+    const materials = {
+        advection: createMaterial(FLUID_ADVECTION_FRAGMENT_SHADER, {
+            uVelocity: { value: null },
+            uSource: { value: null },
+            uTexel: { value: texel },
+            uDelta: { value: FLUID_TIME_STEP },
+            uDissipation: { value: 1 }
+        }),
+        divergence: createMaterial(FLUID_DIVERGENCE_FRAGMENT_SHADER, {
+            uVelocity: { value: null },
+            uTexel: { value: texel }
+        }),
+        curl: createMaterial(FLUID_CURL_FRAGMENT_SHADER, {
+            uVelocity: { value: null },
+            uTexel: { value: texel }
+        }),
+        vorticity: createMaterial(FLUID_VORTICITY_FRAGMENT_SHADER, {
+            uVelocity: { value: null },
+            uCurl: { value: null },
+            uTexel: { value: texel },
+            uCurlStrength: { value: 30 },
+            uDelta: { value: FLUID_TIME_STEP }
+        }),
+        pressure: createMaterial(FLUID_PRESSURE_FRAGMENT_SHADER, {
+            uPressure: { value: null },
+            uDivergence: { value: null },
+            uTexel: { value: texel }
+        }),
+        gradientSubtract: createMaterial(FLUID_GRADIENT_SUBTRACT_FRAGMENT_SHADER, {
+            uPressure: { value: null },
+            uVelocity: { value: null },
+            uTexel: { value: texel }
+        }),
+        scale: createMaterial(FLUID_SCALE_FRAGMENT_SHADER, {
+            uSource: { value: null },
+            uValue: { value: 0.8 }
+        }),
+        splat: createMaterial(FLUID_SPLAT_FRAGMENT_SHADER, {
+            uTarget: { value: null },
+            uPoint: { value: new THREE.Vector2() },
+            uColor: { value: new THREE.Vector3() },
+            uRadius: { value: 0.0008 }
+        }),
+        display: createMaterial(FLUID_DISPLAY_FRAGMENT_SHADER, {
+            uSource: { value: null }
+        })
+    };
+    
+    const passScene = new THREE.Scene();
+    const quad = createFullscreenQuad(materials.display);
+    passScene.add(quad);
+    
+    const state = {
+        gridSize,
+        type,
+        pressureIterations: config.pressureIterations,
+        stepsPerFrame: config.stepsPerFrame,
+        // Counted by stepFluid from the passes it actually runs (splats, solver stages, Jacobi iterations)
+        passCount: 0,
+        passesPerStep: 0,
+        materials,
+        passScene,
+        quad,
+        velocity: createFluidTargetPair(gridSize, type),
+        dye: createFluidTargetPair(gridSize, type),
+        pressure: createFluidTargetPair(gridSize, type),
+        divergence: createFluidTarget(gridSize, type),
+        curl: createFluidTarget(gridSize, type),
+        simulationTime: 0
+    };
+    
+    const bytesPerTexel = type === THREE.FloatType ? 16 : 8;
+    state.fieldBytes = 8 * gridSize * gridSize * bytesPerTexel;
+    
+    updateObjectsDisplay(`${gridSize}² grid`);
+    console.log(`Created ${gridSize}x${gridSize} fluid solver (${type === THREE.FloatType ? 'float32' : 'half float'}), ${config.pressureIterations} pressure iterations`);
+    
+    return state;
+}
+
+// Orbiting emitters push velocity and coloured dye into the field
+function applyFluidSplats(state) {
+    const { materials } = state;
+    const splat = materials.splat.uniforms;
+    const force = 600 * state.gridSize / 512;
+    
+    for (let i = 0; i < FLUID_EMITTERS; i++) {
+        const angle = state.simulationTime * (0.6 + i * 0.25) + (i / FLUID_EMITTERS) * Math.PI * 2;
+        splat.uPoint.value.set(0.5 + Math.cos(angle) * 0.3, 0.5 + Math.sin(angle) * 0.3);
+        
+        // Velocity tangential to the orbit
+        splat.uTarget.value = state.velocity.read.texture;
+        splat.uColor.value.set(-Math.sin(angle) * force, Math.cos(angle) * force, 0);
+        runFluidPass(state, materials.splat, state.velocity.write);
+        swapFluidTargets(state.velocity);
+        
+        const color = new THREE.Color().setHSL((state.simulationTime * 0.1 + i / FLUID_EMITTERS) % 1, 1, 0.5);
+        splat.uTarget.value = state.dye.read.texture;
+        splat.uColor.value.set(color.r * 0.3, color.g * 0.3, color.b * 0.3);
+        runFluidPass(state, materials.splat, state.dye.write);
+        swapFluidTargets(state.dye);
+    }
+}
+
+// One full solver step
+function stepFluid(state) {
+    const { materials } = state;
+    const firstPass = state.passCount;
+    
+    applyFluidSplats(state);
+    
+    materials.curl.uniforms.uVelocity.value = state.velocity.read.texture;
+    runFluidPass(state, materials.curl, state.curl);
+    
+    materials.vorticity.uniforms.uVelocity.value = state.velocity.read.texture;
+    materials.vorticity.uniforms.uCurl.value = state.curl.texture;
+    runFluidPass(state, materials.vorticity, state.velocity.write);
+    swapFluidTargets(state.velocity);
+    
+    materials.divergence.uniforms.uVelocity.value = state.velocity.read.texture;
+    runFluidPass(state, materials.divergence, state.divergence);
+    
+    // Start the Jacobi solve from a decayed copy of last step's pressure
+    materials.scale.uniforms.uSource.value = state.pressure.read.texture;
+    materials.scale.uniforms.uValue.value = 0.8;
+    runFluidPass(state, materials.scale, state.pressure.write);
+    swapFluidTargets(state.pressure);
+    
+    materials.pressure.uniforms.uDivergence.value = state.divergence.texture;
+    for (let i = 0; i < state.pressureIterations; i++) {
+        materials.pressure.uniforms.uPressure.value = state.pressure.read.texture;
+        runFluidPass(state, materials.pressure, state.pressure.write);
+        swapFluidTargets(state.pressure);
+    }
+    
+    materials.gradientSubtract.uniforms.uPressure.value = state.pressure.read.texture;
+    materials.gradientSubtract.uniforms.uVelocity.value = state.velocity.read.texture;
+    runFluidPass(state, materials.gradientSubtract, state.velocity.write);
+    swapFluidTargets(state.velocity);
+    
+    const advection = materials.advection.uniforms;
+    advection.uVelocity.value = state.velocity.read.texture;
+    advection.uSource.value = state.velocity.read.texture;
+    advection.uDissipation.value = 0.999;
+    runFluidPass(state, materials.advection, state.velocity.write);
+    swapFluidTargets(state.velocity);
+    
+    advection.uVelocity.value = state.velocity.read.texture;
+    advection.uSource.value = state.dye.read.texture;
+    advection.uDissipation.value = 0.995;
+    runFluidPass(state, materials.advection, state.dye.write);
+    swapFluidTargets(state.dye);
+    
+    state.simulationTime += FLUID_TIME_STEP;
+    state.passesPerStep = state.passCount - firstPass;
+}
+
+// Run this frame's solver steps, then show the dye
+function renderFluidWorkload(state) {
+    for (let i = 0; i < state.stepsPerFrame; i++) {
+        stepFluid(state);
+    }
+    
+    state.materials.display.uniforms.uSource.value = state.dye.read.texture;
+    runFluidPass(state, state.materials.display, null);
+}
+
+// Solver throughput readouts
+function getFluidMetrics(state, fps) {
+    const stepsPerSecond = fps * state.stepsPerFrame;
+    
+    return {
+        'Grid': `${state.gridSize}²`,
+        'Steps/s': stepsPerSecond.toFixed(0),
+        'Cell Updates/s': formatRate(state.gridSize * state.gridSize * state.passesPerStep * stepsPerSecond),
+        'Field Memory': formatBytes(state.fieldBytes)
+    };
+}
+
+// Free the solver fields and materials
+function disposeFluidWorkload(state) {
+    renderer.setRenderTarget(null);
+    [state.velocity, state.dye, state.pressure].forEach(pair => {
+        pair.read.dispose();
+        pair.write.dispose();
+    });
+    state.divergence.dispose();
+    state.curl.dispose();
+    Object.values(state.materials).forEach(material => material.dispose());
+    state.quad.geometry.dispose();
+}
+
+// Deferred G-buffer pass: spinning cubes write albedo, normal and world position
+const DEFERRED_GEOMETRY_VERTEX_SHADER = `#version 300 es
+    in vec3 aPosition;
+    in vec3 aNormal;
+    in vec3 aCenter;
+    uniform mat4 uViewProjection;
+    uniform float uTime;
+    out vec3 vNormal;
+    out vec3 vWorldPosition;
+    out vec3 vAlbedo;
+    ${ROTATION_GLSL}
+    void main() {
+        vec3 speed = (fract(aCenter * 0.137) - 0.5) * 1.2;
+        mat3 rotation = rotationXYZ(speed * uTime);
+        vWorldPosition = aCenter + rotation * aPosition;
+        vNormal = rotation * aNormal;
+        vAlbedo = 0.4 + 0.6 * fract(aCenter * 0.31);
+        gl_Position = uViewProjection * vec4(vWorldPosition, 1.0);
+    }
+`;
+
+const DEFERRED_GEOMETRY_FRAGMENT_SHADER = `#version 300 es
+    precision highp float;
+    in vec3 vNormal;
+    in vec3 vWorldPosition;
+    in vec3 vAlbedo;
+    layout(location = 0) out vec4 gAlbedo;
+    layout(location = 1) out vec4 gNormal;
+    layout(location = 2) out vec4 gPosition;
+    void main() {
+        gAlbedo = vec4(vAlbedo, 1.0);
+        gNormal = vec4(normalize(vNormal), 0.0);
+        gPosition = vec4(vWorldPosition, 1.0);
+    }
+`;
+
+// Full-screen triangle from gl_VertexID - no vertex buffers needed
+const DEFERRED_FULLSCREEN_VERTEX_SHADER = `#version 300 es
+    void main() {
+        vec2 corner = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+        gl_Position = vec4(corner * 2.0 - 1.0, 0.0, 1.0);
+    }
+`;
+
+// Ambient term; also writes black where the G-buffer is empty
+const DEFERRED_AMBIENT_FRAGMENT_SHADER = `#version 300 es
+    precision highp float;
+    uniform sampler2D gAlbedo;
+    out vec4 fragColor;
+    void main() {
+        vec4 albedo = texelFetch(gAlbedo, ivec2(gl_FragCoord.xy), 0);
+        fragColor = vec4(albedo.rgb * 0.05 * albedo.a, 1.0);
+    }
+`;
+
+// Light volumes: an instanced box around each light's radius, animated on the GPU
+const DEFERRED_LIGHT_VERTEX_SHADER = `#version 300 es
+    in vec3 aPosition;
+    in vec3 aLightOrigin;
+    in vec3 aLightColor;
+    in vec2 aLightParams;
+    uniform mat4 uViewProjection;
+    uniform float uTime;
+    flat out vec3 vLightPosition;
+    flat out vec3 vLightColor;
+    flat out float vLightRadius;
+    void main() {
+        float phase = aLightParams.y;
+        vec3 wobble = vec3(sin(uTime * 0.7 + phase), cos(uTime * 0.5 + phase * 1.3), sin(uTime * 0.6 + phase * 0.7));
+        vLightPosition = aLightOrigin + wobble * 2.0;
+        vLightColor = aLightColor;
+        vLightRadius = aLightParams.x;
+        gl_Position = uViewProjection * vec4(vLightPosition + aPosition * aLightParams.x, 1.0);
+    }
+`;
+
+const DEFERRED_LIGHT_FRAGMENT_SHADER = `#version 300 es
+    precision highp float;
+    uniform sampler2D gAlbedo;
+    uniform sampler2D gNormal;
+    uniform sampler2D gPosition;
+    uniform vec3 uCameraPosition;
+    flat in vec3 vLightPosition;
+    flat in vec3 vLightColor;
+    flat in float vLightRadius;
+    out vec4 fragColor;
+    void main() {
+        ivec2 coord = ivec2(gl_FragCoord.xy);
+        vec4 albedo = texelFetch(gAlbedo, coord, 0);
+        if (albedo.a == 0.0) discard;
+        
+        vec3 position = texelFetch(gPosition, coord, 0).xyz;
+        vec3 toLight = vLightPosition - position;
+        float distance = length(toLight);
+        if (distance > vLightRadius) discard;
+        
+        vec3 normal = texelFetch(gNormal, coord, 0).xyz;
+        vec3 lightDirection = toLight / distance;
+        vec3 halfway = normalize(lightDirection + normalize(uCameraPosition - position));
+        float attenuation = pow(1.0 - distance / vLightRadius, 2.0);
+        float diffuse = max(dot(normal, lightDirection), 0.0);
+        float specular = pow(max(dot(normal, halfway), 0.0), 32.0);
+        fragColor = vec4((albedo.rgb * diffuse + specular * 0.5) * vLightColor * attenuation, 1.0);
+    }
+`;
+
+// Allocate (or reallocate after a resize) the G-buffer: albedo RGBA8, normal and position RGBA16F, depth
+function allocateGBuffer(state, width, height) {
+    const gl = state.gl;
+    if (state.gBuffer) deleteGBuffer(state);
+    
+    const createTexture = internalFormat => {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, internalFormat, width, height);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        return texture;
+    };
+    
+    const textures = [
+        createTexture(gl.RGBA8),
+        createTexture(gl.RGBA16F),
+        createTexture(gl.RGBA16F)
+    ];
+    const depth = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+    
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    textures.forEach((texture, i) => {
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + i, gl.TEXTURE_2D, texture, 0);
+    });
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1, gl.COLOR_ATTACHMENT2]);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        console.warn('⚠️ G-buffer framebuffer incomplete:', status);
+    }
+    
+    state.gBuffer = { framebuffer, textures, depth, width, height };
+}
+
+function deleteGBuffer(state) {
+    const gl = state.gl;
+    gl.deleteFramebuffer(state.gBuffer.framebuffer);
+    state.gBuffer.textures.forEach(texture => gl.deleteTexture(texture));
+    gl.deleteRenderbuffer(state.gBuffer.depth);
+    state.gBuffer = null;
+}
+
+// Upload a float array into a new buffer bound to an attribute of the current vertex array
+function createAttributeBuffer(gl, data, location, size, divisor = 0) {
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+    gl.vertexAttribDivisor(location, divisor);
+    return buffer;
+}
+
+// Create the deferred shading workload (WebGL2 + float render targets - see requirements)
+function createDeferredWorkload(config) {
+    const gl = renderer.getContext();
+    const objectCount = isMobile ? Math.floor(config.objects * 0.5) : config.objects;
+    const lightCount = isMobile ? Math.floor(config.lights * 0.5) : config.lights;
+    const attributes = ['aPosition', 'aNormal', 'aCenter'];
+    
+    const state = {
+        gl,
+        objectCount,
+        lightCount,
+        buffers: [],
+        elapsedSeconds: 0,
+        viewProjection: new THREE.Matrix4(),
+        programs: {
+            geometry: compileGLProgram(gl, DEFERRED_GEOMETRY_VERTEX_SHADER, DEFERRED_GEOMETRY_FRAGMENT_SHADER, attributes),
+            ambient: compileGLProgram(gl, DEFERRED_FULLSCREEN_VERTEX_SHADER, DEFERRED_AMBIENT_FRAGMENT_SHADER),
+            light: compileGLProgram(gl, DEFERRED_LIGHT_VERTEX_SHADER, DEFERRED_LIGHT_FRAGMENT_SHADER,
+                ['aPosition', 'aLightOrigin', 'aLightColor', 'aLightParams'])
+        }
+    };
+    
+    // Cube field
+    const field = bakeCubeField(objectCount);
+    state.vertexCount = objectCount * field.verticesPerCube;
+    state.geometryVAO = gl.createVertexArray();
+    gl.bindVertexArray(state.geometryVAO);
+    [field.positions, field.normals, field.centers].forEach((data, location) => {
+        state.buffers.push(createAttributeBuffer(gl, data, location, 3));
+    });
+    
+    // Light volumes: a 2x2x2 box scaled by each light's radius, one instance per light
+    const box = new THREE.BoxGeometry(2, 2, 2).toNonIndexed();
+    const boxPositions = box.attributes.position.array;
+    box.dispose();
+    state.boxVertexCount = boxPositions.length / 3;
+    
+    const origins = new Float32Array(lightCount * 3);
+    const colors = new Float32Array(lightCount * 3);
+    const params = new Float32Array(lightCount * 2);
+    for (let i = 0; i < lightCount; i++) {
+        const color = new THREE.Color().setHSL(Math.random(), 0.8, 0.6);
+        origins.set([(Math.random() - 0.5) * 20, (Math.random() - 0.5) * 20, (Math.random() - 0.5) * 20], i * 3);
+        colors.set([color.r, color.g, color.b], i * 3);
+        params.set([2 + Math.random() * 3, Math.random() * Math.PI * 2], i * 2);
+    }
+    
+    state.lightVAO = gl.createVertexArray();
+    gl.bindVertexArray(state.lightVAO);
+    state.buffers.push(createAttributeBuffer(gl, boxPositions, 0, 3));
+    state.buffers.push(createAttributeBuffer(gl, origins, 1, 3, 1));
+    state.buffers.push(createAttributeBuffer(gl, colors, 2, 3, 1));
+    state.buffers.push(createAttributeBuffer(gl, params, 3, 2, 1));
+    
+    // Attribute-less vertex array for the full-screen triangle
+    state.emptyVAO = gl.createVertexArray();
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    
+    state.uniforms = {
+        geometryViewProjection: gl.getUniformLocation(state.programs.geometry, 'uViewProjection'),
+        geometryTime: gl.getUniformLocation(state.programs.geometry, 'uTime'),
+        ambientAlbedo: gl.getUniformLocation(state.programs.ambient, 'gAlbedo'),
+        lightViewProjection: gl.getUniformLocation(state.programs.light, 'uViewProjection'),
+        lightTime: gl.getUniformLocation(state.programs.light, 'uTime'),
+        lightCamera: gl.getUniformLocation(state.programs.light, 'uCameraPosition'),
+        lightSamplers: ['gAlbedo', 'gNormal', 'gPosition'].map(name => gl.getUniformLocation(state.programs.light, name))
+    };
+    
+    const size = getDrawingBufferSize();
+    allocateGBuffer(state, size.x, size.y);
+    renderer.resetState();
+    
+    updateObjectsDisplay(`${objectCount} + ${lightCount} lights`);
+    console.log(`Created deferred scene - ${objectCount} cubes, ${lightCount} point lights, ${size.x}x${size.y} G-buffer`);
+    
+    return state;
+}
+
+// Resize the G-buffer with the canvas and track the clock
+function updateDeferredWorkload(state, elapsedSeconds) {
+    state.elapsedSeconds = elapsedSeconds;
+    
+    const size = getDrawingBufferSize();
+    if (size.x !== state.gBuffer.width || size.y !== state.gBuffer.height) {
+        allocateGBuffer(state, size.x, size.y);
+        renderer.resetState();
+    }
+}
+
+// Geometry pass into the G-buffer, ambient pass, then additive light volumes
+function renderDeferredWorkload(state) {
+    const { gl, uniforms, programs, gBuffer } = state;
+    
+    camera.updateMatrixWorld();
+    state.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    
+    // Geometry pass
+    gl.bindFramebuffer(gl.FRAMEBUFFER, gBuffer.framebuffer);
+    gl.viewport(0, 0, gBuffer.width, gBuffer.height);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LESS);
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+    gl.enable(gl.CULL_FACE);
+    gl.cullFace(gl.BACK);
+    gl.clearBufferfv(gl.COLOR, 0, [0, 0, 0, 0]);
+    gl.clearBufferfv(gl.COLOR, 1, [0, 0, 0, 0]);
+    gl.clearBufferfv(gl.COLOR, 2, [0, 0, 0, 0]);
+    gl.clearBufferfv(gl.DEPTH, 0, [1]);
+    
+    gl.useProgram(programs.geometry);
+    gl.uniformMatrix4fv(uniforms.geometryViewProjection, false, state.viewProjection.elements);
+    gl.uniform1f(uniforms.geometryTime, state.elapsedSeconds);
+    gl.bindVertexArray(state.geometryVAO);
+    gl.drawArrays(gl.TRIANGLES, 0, state.vertexCount);
+    
+    // Lighting into the canvas
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, gBuffer.width, gBuffer.height);
+    gl.disable(gl.DEPTH_TEST);
+    gl.depthMask(false);
+    gBuffer.textures.forEach((texture, i) => {
+        gl.activeTexture(gl.TEXTURE0 + i);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+    });
+    
+    gl.useProgram(programs.ambient);
+    gl.uniform1i(uniforms.ambientAlbedo, 0);
+    gl.bindVertexArray(state.emptyVAO);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    
+    // Back faces only, so each covered pixel is shaded once per light even with the camera inside a volume
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.cullFace(gl.FRONT);
+    gl.useProgram(programs.light);
+    gl.uniformMatrix4fv(uniforms.lightViewProjection, false, state.viewProjection.elements);
+    gl.uniform1f(uniforms.lightTime, state.elapsedSeconds);
+    gl.uniform3f(uniforms.lightCamera, camera.position.x, camera.position.y, camera.position.z);
+    uniforms.lightSamplers.forEach((location, i) => gl.uniform1i(location, i));
+    gl.bindVertexArray(state.lightVAO);
+    gl.drawArraysInstanced(gl.TRIANGLES, 0, state.boxVertexCount, state.lightCount);
+    
+    gl.bindVertexArray(null);
+    gBuffer.textures.forEach((texture, i) => {
+        gl.activeTexture(gl.TEXTURE0 + i);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+    renderer.resetState();
+}
+
+// Deferred readouts: light volumes and G-buffer traffic (RGBA8 + 2x RGBA16F + 24-bit depth per pixel)
+function getDeferredMetrics(state, fps) {
+    const pixels = state.gBuffer.width * state.gBuffer.height;
+    
+    return {
+        'Lights': state.lightCount,
+        'Light Volumes/s': formatRate(state.lightCount * fps),
+        'G-Buffer': `3 targets @ ${state.gBuffer.width}x${state.gBuffer.height}`,
+        'G-Buffer Writes/s': formatRate(pixels * (4 + 8 + 8 + 4) * fps, 'B')
+    };
+}
+
+// Free every raw GL object the workload created
+function disposeDeferredWorkload(state) {
+    const gl = state.gl;
+    deleteGBuffer(state);
+    state.buffers.forEach(buffer => gl.deleteBuffer(buffer));
+    [state.geometryVAO, state.lightVAO, state.emptyVAO].forEach(vao => gl.deleteVertexArray(vao));
+    Object.values(state.programs).forEach(program => gl.deleteProgram(program));
+}
+
+// Procedural sky: horizon-to-zenith gradient with a sun disc, used for the environment map
+const SKY_VERTEX_SHADER = `
+    varying vec3 vDirection;
+    void main() {
+        vDirection = normalize(position);
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const SKY_FRAGMENT_SHADER = `
+    uniform vec3 uSunDirection;
+    varying vec3 vDirection;
+    void main() {
+        vec3 direction = normalize(vDirection);
+        float height = clamp(direction.y, 0.0, 1.0);
+        vec3 sky = mix(vec3(0.75, 0.8, 0.85), vec3(0.15, 0.35, 0.7), pow(height, 0.5));
+        vec3 ground = vec3(0.2, 0.18, 0.15);
+        vec3 color = direction.y > 0.0 ? sky : mix(vec3(0.75, 0.8, 0.85), ground, clamp(-direction.y * 4.0, 0.0, 1.0));
+        float sun = pow(max(dot(direction, uSunDirection), 0.0), 800.0);
+        gl_FragColor = vec4(color + vec3(8.0, 7.0, 5.0) * sun, 1.0);
+    }
+`;
+
+const PBR_TERRAIN_SIZE = 120;
+
+// Smooth layered height field for the terrain (sums of rotated sines, no assets)
+function getTerrainHeight(x, z) {
+    let height = 0;
+    let amplitude = 6;
+    let frequency = 0.03;
+    for (let octave = 0; octave < 5; octave++) {
+        const angle = octave * 1.7;
+        const u = x * Math.cos(angle) - z * Math.sin(angle);
+        const v = x * Math.sin(angle) + z * Math.cos(angle);
+        height += Math.sin(u * frequency) * Math.cos(v * frequency * 1.3) * amplitude;
+        amplitude *= 0.5;
+        frequency *= 2.1;
+    }
+    return height;
+}
+
+// Displaced, vertex-coloured terrain mesh
+function createTerrainMesh(segments) {
+    const geometry = new THREE.PlaneGeometry(PBR_TERRAIN_SIZE, PBR_TERRAIN_SIZE, segments, segments);
+    geometry.rotateX(-Math.PI / 2);
+    
+    const positions = geometry.attributes.position;
+    const colors = new Float32Array(positions.count * 3);
+    const low = new THREE.Color(0x3d5c2e);
+    const high = new THREE.Color(0x8a7f6a);
+    const color = new THREE.Color();
+    
+    for (let i = 0; i < positions.count; i++) {
+        const height = getTerrainHeight(positions.getX(i), positions.getZ(i));
+        positions.setY(i, height);
+        color.copy(low).lerp(high, THREE.MathUtils.clamp((height + 4) / 10, 0, 1));
+        colors.set([color.r, color.g, color.b], i * 3);
+    }
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.computeVertexNormals();
+    
+    const terrain = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+        vertexColors: true,
+        roughness: 0.9,
+        metalness: 0
+    }));
+    terrain.receiveShadow = true;
+    return terrain;
+}
+
+// Mixed standard / physical props scattered over the terrain
+function createPBRProps(count) {
+    const geometries = [
+        new THREE.SphereGeometry(1, 48, 32),
+        new THREE.TorusKnotGeometry(0.8, 0.25, 160, 24),
+        new THREE.BoxGeometry(1.6, 1.6, 1.6),
+        new THREE.CylinderGeometry(0.6, 0.8, 2.5, 32)
+    ];
+    const props = [];
+    
+    for (let i = 0; i < count; i++) {
+        const color = new THREE.Color().setHSL(Math.random(), 0.6, 0.5);
+        const material = i % 2 === 0
+            ? new THREE.MeshStandardMaterial({ color, metalness: Math.random(), roughness: 0.1 + Math.random() * 0.8 })
+            : new THREE.MeshPhysicalMaterial({ color, metalness: 0.2, roughness: 0.3, clearcoat: 1, clearcoatRoughness: 0.1 });
+        const prop = new THREE.Mesh(geometries[i % geometries.length], material);
+        
+        const x = (Math.random() - 0.5) * PBR_TERRAIN_SIZE * 0.8;
+        const z = (Math.random() - 0.5) * PBR_TERRAIN_SIZE * 0.8;
+        prop.position.set(x, getTerrainHeight(x, z) + 1.2, z);
+        prop.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, 0);
+        prop.castShadow = true;
+        prop.receiveShadow = true;
+        props.push(prop);
+    }
+    
+    return props;
+}
+
+// Create the PBR environment: sky, terrain, props, sun with shadows, fog and a reflection probe
+function createPBRWorkload(config) {
+    const segments = isMobile ? config.terrainSegments / 2 : config.terrainSegments;
+    const propCount = isMobile ? Math.floor(config.objects * 0.5) : config.objects;
+    const reflectionSize = isMobile ? config.reflectionSize / 2 : config.reflectionSize;
+    const shadowMapSize = isMobile ? config.shadowMapSize / 2 : config.shadowMapSize;
+    const sunDirection = new THREE.Vector3(0.5, 0.6, 0.3).normalize();
+    
+    const previous = {
+        background: scene.background,
+        environment: scene.environment,
+        fog: scene.fog,
+        toneMapping: renderer.toneMapping,
+        shadowMapEnabled: renderer.shadowMap.enabled,
+        shadowMapType: renderer.shadowMap.type,
+        cameraPosition: camera.position.clone()
+    };
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    
+    // Sky dome, also rendered into a prefiltered (PMREM) environment map for image-based lighting
+    const sky = new THREE.Mesh(
+        new THREE.SphereGeometry(400, 32, 16),
+        new THREE.ShaderMaterial({
+            uniforms: { uSunDirection: { value: sunDirection } },
+            vertexShader: SKY_VERTEX_SHADER,
+            fragmentShader: SKY_FRAGMENT_SHADER,
+            side: THREE.BackSide,
+            depthWrite: false,
+            fog: false
+        })
+    );
+    const skyScene = new THREE.Scene();
+    skyScene.add(sky);
+    const pmremGenerator = new THREE.PMREMGenerator(renderer);
+    const environmentTarget = pmremGenerator.fromScene(skyScene);
+    pmremGenerator.dispose();
+    skyScene.remove(sky);
+    
+    scene.add(sky);
+    testObjects.push(sky);
+    scene.environment = environmentTarget.texture;
+    scene.background = null;
+    scene.fog = new THREE.FogExp2(0xbfcad6, 0.012);
+    
+    const terrain = createTerrainMesh(segments);
+    scene.add(terrain);
+    testObjects.push(terrain);
+    
+    const props = createPBRProps(propCount);
+    props.forEach(prop => {
+        scene.add(prop);
+        testObjects.push(prop);
+    });
+    
+    // Chrome sphere reflecting the live scene through a cube camera
+    const reflectionTarget = new THREE.WebGLCubeRenderTarget(reflectionSize, {
+        generateMipmaps: true,
+        minFilter: THREE.LinearMipmapLinearFilter
+    });
+    const cubeCamera = new THREE.CubeCamera(0.5, 500, reflectionTarget);
+    const probe = new THREE.Mesh(
+        new THREE.SphereGeometry(2.5, 64, 32),
+        new THREE.MeshStandardMaterial({ envMap: reflectionTarget.texture, metalness: 1, roughness: 0.05 })
+    );
+    probe.position.set(0, getTerrainHeight(0, 0) + 4, 0);
+    cubeCamera.position.copy(probe.position);
+    scene.add(probe);
+    scene.add(cubeCamera);
+    testObjects.push(probe);
+    
+    scene.add(new THREE.HemisphereLight(0xbfd4ff, 0x3d3226, 0.3));
+    const sun = new THREE.DirectionalLight(0xfff1d6, 2.5);
+    sun.position.copy(sunDirection).multiplyScalar(80);
+    sun.castShadow = true;
+    sun.shadow.mapSize.set(shadowMapSize, shadowMapSize);
+    sun.shadow.camera.left = -PBR_TERRAIN_SIZE / 2;
+    sun.shadow.camera.right = PBR_TERRAIN_SIZE / 2;
+    sun.shadow.camera.top = PBR_TERRAIN_SIZE / 2;
+    sun.shadow.camera.bottom = -PBR_TERRAIN_SIZE / 2;
+    sun.shadow.camera.far = 200;
+    scene.add(sun);
+    
+    // Closed flythrough loop weaving between the hills and past the probe
+    const flightPath = new THREE.CatmullRomCurve3([
+        new THREE.Vector3(-40, 0, -30), new THREE.Vector3(0, 0, -45), new THREE.Vector3(35, 0, -20),
+        new THREE.Vector3(40, 0, 20), new THREE.Vector3(10, 0, 40), new THREE.Vector3(-8, 0, 8),
+        new THREE.Vector3(-35, 0, 25)
+    ].map(point => point.setY(getTerrainHeight(point.x, point.z) + 6)), true);
+    
+    updateObjectsDisplay(`${propCount} props`);
+    console.log(`Created PBR environment - ${segments}² terrain, ${propCount} props, ${reflectionSize}² reflection probe, ${shadowMapSize}² sun shadows`);
+    
+    return {
+        previous,
+        environmentTarget,
+        reflectionTarget,
+        cubeCamera,
+        probe,
+        sun,
+        props,
+        flightPath,
+        reflectionSize
+    };
+}
+
+// Scripted camera flight: one loop every 30 seconds, looking slightly ahead along the path
+function updatePBRWorkload(state, elapsedSeconds) {
+    const t = (elapsedSeconds / 30) % 1;
+    const position = state.flightPath.getPointAt(t);
+    const target = state.flightPath.getPointAt((t + 0.02) % 1);
+    camera.position.copy(position);
+    camera.lookAt(target.x, target.y - 1.5, target.z);
+    
+    state.probe.rotation.y = elapsedSeconds * 0.2;
+}
+
+// Refresh the reflection probe (six faces, probe hidden from itself), then draw the frame
+function renderPBRWorkload(state) {
+    state.probe.visible = false;
+    state.cubeCamera.update(renderer, scene);
+    state.probe.visible = true;
+    renderer.render(scene, camera);
+}
+
+// Scene complexity readouts for the last main render
+function getPBRMetrics(state, fps) {
+    const info = renderer.info.render;
+    
+    return {
+        'Triangles/s': formatRate(info.triangles * fps),
+        'Draw Calls': info.calls,
+        'Reflection Probe': `6 x ${state.reflectionSize}²`
+    };
+}
+
+// Free generated targets and restore scene and renderer settings (meshes go with testObjects)
+function disposePBRWorkload(state) {
+    const previous = state.previous;
+    scene.remove(state.cubeCamera);
+    state.sun.dispose();
+    state.reflectionTarget.dispose();
+    state.environmentTarget.dispose();
+    
+    scene.background = previous.background;
+    scene.environment = previous.environment;
+    scene.fog = previous.fog;
+    renderer.toneMapping = previous.toneMapping;
+    renderer.shadowMap.enabled = previous.shadowMapEnabled;
+    renderer.shadowMap.type = previous.shadowMapType;
+    camera.position.copy(previous.cameraPosition);
+}
+
+// Character rig: bind-pose joint positions in world space, parents listed before children
+const CHARACTER_BONES = [
+    { name: 'hips', parent: null, position: [0, 1.0, 0] },
+    { name: 'spine', parent: 'hips', position: [0, 1.15, 0] },
+    { name: 'chest', parent: 'spine', position: [0, 1.4, 0] },
+    { name: 'neck', parent: 'chest', position: [0, 1.6, 0] },
+    { name: 'head', parent: 'neck', position: [0, 1.7, 0] },
+    { name: 'upperArmL', parent: 'chest', position: [0.2, 1.55, 0] },
+    { name: 'foreArmL', parent: 'upperArmL', position: [0.2, 1.25, 0] },
+    { name: 'upperArmR', parent: 'chest', position: [-0.2, 1.55, 0] },
+    { name: 'foreArmR', parent: 'upperArmR', position: [-0.2, 1.25, 0] },
+    { name: 'thighL', parent: 'hips', position: [0.1, 0.95, 0] },
+    { name: 'shinL', parent: 'thighL', position: [0.1, 0.5, 0] },
+    { name: 'thighR', parent: 'hips', position: [-0.1, 0.95, 0] },
+    { name: 'shinR', parent: 'thighR', position: [-0.1, 0.5, 0] }
+];
+
+// Body parts as vertical capsules: `joint` is the end attached to the parent bone, where
+// vertices blend between the two bones' transforms
+const CHARACTER_PARTS = [
+    { bone: 'hips', parent: 'hips', joint: 1.0, end: 0.9, x: 0, radius: 0.14 },
+    { bone: 'spine', parent: 'hips', joint: 1.15, end: 1.4, x: 0, radius: 0.13 },
+    { bone: 'chest', parent: 'spine', joint: 1.4, end: 1.62, x: 0, radius: 0.16 },
+    { bone: 'upperArmL', parent: 'chest', joint: 1.55, end: 1.25, x: 0.2, radius: 0.05 },
+    { bone: 'foreArmL', parent: 'upperArmL', joint: 1.25, end: 0.95, x: 0.2, radius: 0.045 },
+    { bone: 'upperArmR', parent: 'chest', joint: 1.55, end: 1.25, x: -0.2, radius: 0.05 },
+    { bone: 'foreArmR', parent: 'upperArmR', joint: 1.25, end: 0.95, x: -0.2, radius: 0.045 },
+    { bone: 'thighL', parent: 'hips', joint: 0.95, end: 0.5, x: 0.1, radius: 0.07 },
+    { bone: 'shinL', parent: 'thighL', joint: 0.5, end: 0.05, x: 0.1, radius: 0.055 },
+    { bone: 'thighR', parent: 'hips', joint: 0.95, end: 0.5, x: -0.1, radius: 0.07 },
+    { bone: 'shinR', parent: 'thighR', joint: 0.5, end: 0.05, x: -0.1, radius: 0.055 }
+];
+
+const CROWD_AREA = 40; // Characters walk inside a square of this size and wrap at the edges
+
+// Build the character mesh once: merged body parts with skin indices and weights
+function createCharacterGeometry() {
+    const boneIndex = name => CHARACTER_BONES.findIndex(bone => bone.name === name);
+    const positions = [];
+    const normals = [];
+    const skinIndices = [];
+    const skinWeights = [];
+    const indices = [];
+    
+    const addPart = (geometry, bone, parent, joint, length) => {
+        const offset = positions.length / 3;
+        const partPositions = geometry.attributes.position;
+        const partNormals = geometry.attributes.normal;
+        
+        for (let i = 0; i < partPositions.count; i++) {
+            const y = partPositions.getY(i);
+            positions.push(partPositions.getX(i), y, partPositions.getZ(i));
+            normals.push(partNormals.getX(i), partNormals.getY(i), partNormals.getZ(i));
+            
+            // Up to half the weight goes to the parent bone close to the joint
+            const fromJoint = Math.abs(y - joint) / Math.max(length, 0.001);
+            const parentWeight = parent === bone ? 0 : Math.max(0, 0.5 - fromJoint * 2.5);
+            skinIndices.push(boneIndex(bone), boneIndex(parent), 0, 0);
+            skinWeights.push(1 - parentWeight, parentWeight, 0, 0);
+        }
+        
+        geometry.index.array.forEach(index => indices.push(index + offset));
+        geometry.dispose();
+    };
+    
+    CHARACTER_PARTS.forEach(part => {
+        const length = Math.abs(part.end - part.joint);
+        const geometry = new THREE.CylinderGeometry(part.radius, part.radius, length, 12, 8);
+        geometry.translate(part.x, (part.joint + part.end) / 2, 0);
+        addPart(geometry, part.bone, part.parent, part.joint, length);
+    });
+    
+    const head = new THREE.SphereGeometry(0.11, 16, 12);
+    head.translate(0, 1.77, 0);
+    addPart(head, 'head', 'neck', 1.66, 0.22);
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('skinIndex', new THREE.Uint16BufferAttribute(skinIndices, 4));
+    geometry.setAttribute('skinWeight', new THREE.Float32BufferAttribute(skinWeights, 4));
+    geometry.setIndex(indices);
+    
+    return geometry;
+}
+
+// A fresh bone hierarchy for one character, in bind pose
+function createCharacterBones() {
+    const bones = [];
+    const byName = {};
+    
+    CHARACTER_BONES.forEach(definition => {
+        const bone = new THREE.Bone();
+        bone.name = definition.name;
+        const parent = definition.parent ? byName[definition.parent] : null;
+        const parentPosition = parent ? CHARACTER_BONES.find(other => other.name === definition.parent).position : [0, 0, 0];
+        bone.position.set(
+            definition.position[0] - parentPosition[0],
+            definition.position[1] - parentPosition[1],
+            definition.position[2] - parentPosition[2]
+        );
+        if (parent) parent.add(bone);
+        byName[definition.name] = bone;
+        bones.push(bone);
+    });
+    
+    return { bones, byName };
+}
+
+// Create the crowd: one shared skinned geometry, a skeleton per character
+function createCrowdWorkload(config) {
+    const count = isMobile ? Math.floor(config.characters * 0.5) : config.characters;
+    const geometry = createCharacterGeometry();
+    const material = new THREE.MeshStandardMaterial({ color: 0xc8a27a, roughness: 0.7, skinning: true });
+    const characters = [];
+    
+    for (let i = 0; i < count; i++) {
+        const { bones, byName } = createCharacterBones();
+        const mesh = new THREE.SkinnedMesh(geometry, material);
+        mesh.add(bones[0]);
+        mesh.bind(new THREE.Skeleton(bones));
+        mesh.frustumCulled = false; // Bounds are the bind pose; walking limbs would pop at screen edges
+        
+        mesh.position.set((Math.random() - 0.5) * CROWD_AREA, -2, (Math.random() - 0.5) * CROWD_AREA);
+        mesh.rotation.y = Math.random() * Math.PI * 2;
+        mesh.userData = {
+            bones: byName,
+            phase: Math.random() * Math.PI * 2,
+            stride: 5 + Math.random() * 3,
+            speed: 0.8 + Math.random() * 0.6
+        };
+        
+        scene.add(mesh);
+        testObjects.push(mesh);
+        characters.push(mesh);
+    }
+    
+    const ground = new THREE.Mesh(
+        new THREE.PlaneGeometry(CROWD_AREA + 10, CROWD_AREA + 10),
+        new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 1 })
+    );
+    ground.rotation.x = -Math.PI / 2;
+    ground.position.y = -2;
+    scene.add(ground);
+    testObjects.push(ground);
+    addDefaultLights();
+    
+    const verticesPerCharacter = geometry.attributes.position.count;
+    updateObjectsDisplay(`${count} characters`);
+    console.log(`Created skinned crowd - ${count} characters, ${verticesPerCharacter} vertices and ${CHARACTER_BONES.length} bones each, bone textures: ${renderer.capabilities.floatVertexTextures}`);
+    
+    return {
+        characters,
+        verticesPerCharacter,
+        lastTime: 0,
+        cameraPosition: camera.position.clone()
+    };
+}
+
+// Walk cycle on every skeleton, move characters forward, and fly the camera above the crowd
+function updateCrowdWorkload(state, elapsedSeconds) {
+    const delta = Math.min(elapsedSeconds - state.lastTime, 0.1);
+    state.lastTime = elapsedSeconds;
+    const half = CROWD_AREA / 2;
+    
+    state.characters.forEach(character => {
+        const { bones, phase, stride, speed } = character.userData;
+        const cycle = elapsedSeconds * stride + phase;
+        const swing = Math.sin(cycle);
+        
+        bones.thighL.rotation.x = swing * 0.5;
+        bones.thighR.rotation.x = -swing * 0.5;
+        bones.shinL.rotation.x = Math.max(0, -Math.cos(cycle)) * 0.8;
+        bones.shinR.rotation.x = Math.max(0, Math.cos(cycle)) * 0.8;
+        bones.upperArmL.rotation.x = -swing * 0.4;
+        bones.upperArmR.rotation.x = swing * 0.4;
+        bones.foreArmL.rotation.x = -0.3 - Math.max(0, swing) * 0.3;
+        bones.foreArmR.rotation.x = -0.3 - Math.max(0, -swing) * 0.3;
+        bones.spine.rotation.y = swing * 0.1;
+        bones.hips.position.y = 1.0 + Math.abs(Math.cos(cycle)) * 0.03;
+        
+        character.translateZ(speed * delta);
+        if (character.position.x > half) character.position.x -= CROWD_AREA;
+        if (character.position.x < -half) character.position.x += CROWD_AREA;
+        if (character.position.z > half) character.position.z -= CROWD_AREA;
+        if (character.position.z < -half) character.position.z += CROWD_AREA;
+    });
+    
+    const angle = elapsedSeconds * 0.15;
+    camera.position.set(Math.cos(angle) * 22, 8, Math.sin(angle) * 22);
+    camera.lookAt(0, -2, 0);
+}
+
+// Skinning throughput readouts
+function getCrowdMetrics(state, fps) {
+    const skinnedVertices = state.characters.length * state.verticesPerCharacter;
+    
+    return {
+        'Characters': state.characters.length,
+        'Skinned Vertices/s': formatRate(skinnedVertices * fps),
+        'Bones': state.characters.length * CHARACTER_BONES.length,
+        'Bone Storage': renderer.capabilities.floatVertexTextures ? 'Float textures' : 'Uniforms'
+    };
+}
+
+// Free bone textures and put the camera back
+function disposeCrowdWorkload(state) {
+    state.characters.forEach(character => character.skeleton.dispose());
+    camera.position.copy(state.cameraPosition);
+}
+
+// MSAA sweep steps; counts above the context's MAX_SAMPLES are dropped
+const MSAA_SAMPLE_COUNTS = [0, 2, 4, 8];
+const MSAA_TARGET_FPS = 60; // A step counts as affordable when it holds (nearly) this frame rate
+
+// Scene target for one sweep step: plain for no AA, multisampled otherwise
+function createMSAATarget(samples, width, height) {
+    const target = samples > 0
+        ? new THREE.WebGLMultisampleRenderTarget(width, height)
+        : new THREE.WebGLRenderTarget(width, height);
+    if (samples > 0) target.samples = samples;
+    return target;
+}
+
+// Renderer on its own canvas without default-framebuffer antialiasing: the main renderer is created
+// with antialias: true, and its resolve would otherwise be paid by every step, No AA included
+function createMSAASweepRenderer() {
+    const sweepCanvas = document.createElement('canvas');
+    sweepCanvas.className = 'workload-canvas';
+    document.body.appendChild(sweepCanvas);
+    
+    const sweepRenderer = new THREE.WebGLRenderer({
+        canvas: sweepCanvas,
+        antialias: false,
+        powerPreference: 'high-performance',
+        alpha: false,
+        stencil: false
+    });
+    sweepRenderer.setPixelRatio(renderer.getPixelRatio());
+    sweepRenderer.setSize(window.innerWidth, window.innerHeight);
+    return sweepRenderer;
+}
+
+// Create the MSAA sweep: cube field rendered off-screen, then copied to a non-antialiased canvas
+function createMSAAWorkload(config) {
+    const objectCount = isMobile ? Math.floor(config.objects * 0.5) : config.objects;
+    const sweepRenderer = createMSAASweepRenderer();
+    const maxSamples = sweepRenderer.capabilities.maxSamples;
+    const size = sweepRenderer.getDrawingBufferSize(new THREE.Vector2());
+    
+    // The sweep canvas takes the main canvas's place for the run
+    renderer.domElement.style.display = 'none';
+    
+    createCubeMeshes(objectCount);
+    addDefaultLights();
+    
+    const blitMaterial = new THREE.MeshBasicMaterial({ depthTest: false, depthWrite: false });
+    const blitScene = new THREE.Scene();
+    blitScene.add(createFullscreenQuad(blitMaterial));
+    
+    const phases = MSAA_SAMPLE_COUNTS
+        .filter(samples => samples <= maxSamples)
+        .map(samples => ({ samples, label: samples > 0 ? `${samples}x MSAA` : 'No AA' }));
+    
+    const state = {
+        phases,
+        phaseIndex: 0,
+        phaseDuration: testDuration / phases.length,
+        renderer: sweepRenderer,
+        blitScene,
+        blitMaterial,
+        target: null,
+        width: size.x,
+        height: size.y,
+        maxSamples,
+        objectCount
+    };
+    startMSAAPhase(state, 0);
+    
+    updateObjectsDisplay(`${objectCount} cubes`);
+    console.log(`Created MSAA sweep - ${phases.map(phase => phase.label).join(' → ')} (MAX_SAMPLES ${maxSamples})`);
+    
+    return state;
+}
+
+// Swap in the render target for a sweep step and restart its timing
+function startMSAAPhase(state, index) {
+    if (state.target) state.target.dispose();
+    state.phaseIndex = index;
+    state.target = createMSAATarget(state.phases[index].samples, state.width, state.height);
+    state.blitMaterial.map = state.target.texture;
+    state.blitMaterial.needsUpdate = true;
+    resetPhaseTiming(state);
+}
+
+// Store the average frame time of the step that just finished
+function recordMSAAPhase(state) {
+    const phase = state.phases[state.phaseIndex];
+    const frameTime = getPhaseFrameTime(state);
+    if (phase.frameTime === undefined && frameTime !== null) {
+        phase.frameTime = frameTime;
+    }
+}
+
+// Advance through the sample counts and follow canvas resizes
+function updateMSAAWorkload(state, elapsedSeconds) {
+    const canvasSize = state.renderer.getSize(new THREE.Vector2());
+    if (canvasSize.x !== window.innerWidth || canvasSize.y !== window.innerHeight) {
+        state.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+    const size = state.renderer.getDrawingBufferSize(new THREE.Vector2());
+    if (size.x !== state.width || size.y !== state.height) {
+        state.target.setSize(size.x, size.y);
+        state.width = size.x;
+        state.height = size.y;
+    }
+    
+    if (getPhaseElapsed(state) >= state.phaseDuration && state.phaseIndex < state.phases.length - 1) {
+        recordMSAAPhase(state);
+        startMSAAPhase(state, state.phaseIndex + 1);
+        return;
+    }
+    
+    trackPhaseFrame(state);
+}
+
+// Scene into the current step's target (resolved by Three.js), then a copy to the canvas
+function renderMSAAWorkload(state) {
+    state.renderer.setRenderTarget(state.target);
+    state.renderer.render(scene, camera);
+    state.renderer.setRenderTarget(null);
+    state.renderer.render(state.blitScene, camera);
+}
+
+// Live readouts: current step and its frame time
+function getMSAAMetrics(state, fps) {
+    const phase = state.phases[state.phaseIndex];
+    return {
+        'Anti-aliasing': `${state.phaseIndex + 1}/${state.phases.length} ${phase.label}`,
+        'Frame Time': `${(1000 / Math.max(fps, 1)).toFixed(1)} ms`,
+        'Max Samples': state.maxSamples
+    };
+}
+
+// FPS per step, cost relative to no AA, and the highest step that keeps the target frame rate
+function getMSAAReport(state) {
+    recordMSAAPhase(state);
+    
+    const measured = state.phases.filter(phase => phase.frameTime !== undefined);
+    const baseline = measured.find(phase => phase.samples === 0);
+    const affordable = measured.filter(phase => 1000 / phase.frameTime >= MSAA_TARGET_FPS * 0.95).pop();
+    
+    const metrics = {
+        'Max Samples': state.maxSamples,
+        'Affordable AA': affordable ? affordable.label : `None holds ${MSAA_TARGET_FPS} FPS`
+    };
+    if (state.maxSamples < MSAA_SAMPLE_COUNTS[MSAA_SAMPLE_COUNTS.length - 1]) {
+        metrics['Skipped'] = `Above ${state.maxSamples}x (MAX_SAMPLES)`;
+    }
+    
+    return {
+        metrics,
+        table: {
+            columns: ['Anti-aliasing', 'Frame Time', 'FPS', 'Cost vs No AA'],
+            rows: measured.map(phase => {
+                const fps = 1000 / phase.frameTime;
+                let cost = '-';
+                if (baseline && phase !== baseline) {
+                    const fpsDrop = (1 - baseline.frameTime / phase.frameTime) * 100;
+                    cost = `+${Math.max(0, phase.frameTime - baseline.frameTime).toFixed(2)} ms (-${Math.max(0, fpsDrop).toFixed(0)}% FPS)`;
+                }
+                return [phase.label, `${phase.frameTime.toFixed(2)} ms`, Math.round(fps), cost];
+            })
+        },
+        chart: {
+            xLabel: 'MSAA samples',
+            yLabel: 'FPS',
+            series: [{
+                name: `${state.objectCount} cubes`,
+                color: '#00ff88',
+                points: measured.map(phase => [phase.samples, Math.round(1000 / phase.frameTime)])
+            }]
+        }
+    };
+}
+
+// Free the render target, the copy quad and the sweep canvas's context
+function disposeMSAAWorkload(state) {
+    state.target.dispose();
+    state.blitScene.children.forEach(quad => quad.geometry.dispose());
+    state.blitMaterial.dispose();
+    
+    state.renderer.dispose();
+    state.renderer.forceContextLoss();
+    state.renderer.domElement.remove();
+    renderer.domElement.style.display = 'block';
+}
+
+// Shader compile modes and chart colours
+const SHADER_COMPILE_MODES = {
+    sync: { label: 'Synchronous', color: '#ff4444' },
+    parallel: { label: 'KHR_parallel_shader_compile', color: '#00ff88' }
+};
+const SHADER_HITCH_THRESHOLD = 16.7; // ms of compile work in one frame that costs a 60 Hz frame
+
+// Unique program source: random constants and a different mix of unrolled statements per variant,
+// plus a per-run seed so the browser's shader cache never sees the same source twice
+function generateShaderVariant(index, complexity, runSeed) {
+    const constant = () => (Math.random() * 4 + 0.1).toFixed(4);
+    const statements = [];
+    
+    for (let i = 0; i < complexity; i++) {
+        switch ((index + i) % 4) {
+            case 0: statements.push(`c = sin(c * ${constant()} + vec3(${constant()}));`); break;
+            case 1: statements.push(`c = fract(c * ${constant()}) + cos(c.yzx * ${constant()});`); break;
+            case 2: statements.push(`f += dot(c, vec3(${constant()}, ${constant()}, ${constant()}));`); break;
+            default: statements.push(`c = mix(c, c.zxy, fract(f * ${constant()}));`);
+        }
+    }
+    
+    return {
+        vertex: `
+            attribute vec3 position;
+            uniform mat4 uMatrix;
+            varying vec3 vPosition;
+            void main() {
+                vPosition = position * ${constant()} + ${runSeed};
+                gl_Position = uMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragment: `
+            precision highp float;
+            uniform float uTime;
+            varying vec3 vPosition;
+            // Variant ${index}, run ${runSeed}
+            void main() {
+                vec3 c = vPosition + uTime;
+                float f = ${constant()};
+                ${statements.join('\n                ')}
+                gl_FragColor = vec4(fract(c + f), 1.0);
+            }
+        `
+    };
+}
+
+// Issue compile and link for one variant without asking for any status
+function submitShaderVariant(gl, sources) {
+    const program = gl.createProgram();
+    [[gl.VERTEX_SHADER, sources.vertex], [gl.FRAGMENT_SHADER, sources.fragment]].forEach(([type, source]) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        gl.attachShader(program, shader);
+        gl.deleteShader(shader); // Freed with the program
+    });
+    gl.linkProgram(program);
+    return program;
+}
+
+// Read the link result (blocks until linking is done) and free the program
+function finishShaderVariant(gl, state, program) {
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        state.failures++;
+        if (state.failures === 1) {
+            console.warn('Shader variant failed to link:', gl.getProgramInfoLog(program));
+        }
+    }
+    gl.deleteProgram(program);
+}
+
+// Create the compile benchmark: a light cube field keeps frames flowing while programs compile
+function createShaderCompileWorkload(config) {
+    const gl = renderer.getContext();
+    const parallel = gl.getExtension('KHR_parallel_shader_compile');
+    const programsPerFrame = isMobile ? Math.max(1, Math.floor(config.programsPerFrame * 0.5)) : config.programsPerFrame;
+    
+    createCubeMeshes(200);
+    addDefaultLights();
+    
+    const modes = parallel ? ['sync', 'parallel'] : ['sync'];
+    const state = {
+        gl,
+        parallel,
+        programsPerFrame,
+        complexity: config.complexity,
+        runSeed: Math.random().toFixed(6),
+        variantIndex: 0,
+        pending: [],
+        failures: 0,
+        phases: modes.map(mode => ({ mode, completed: 0, compileTime: 0, worstStall: 0, hitches: 0, stallBySecond: [] })),
+        phaseIndex: 0,
+        phaseDuration: testDuration / modes.length
+    };
+    resetPhaseTiming(state);
+    
+    updateObjectsDisplay(`${programsPerFrame} programs/frame`);
+    console.log(`Created shader compile benchmark - ${modes.map(mode => SHADER_COMPILE_MODES[mode].label).join(' → ')}, ${config.complexity} statements per variant`);
+    
+    return state;
+}
+
+// Compile this frame's variants in the current mode and time how long the calls held the main thread
+function updateShaderCompileWorkload(state, elapsedSeconds) {
+    const gl = state.gl;
+    
+    if (getPhaseElapsed(state) >= state.phaseDuration && state.phaseIndex < state.phases.length - 1) {
+        finishShaderCompilePhase(state);
+        state.phaseIndex++;
+        resetPhaseTiming(state);
+        return;
+    }
+    
+    const phase = state.phases[state.phaseIndex];
+    const start = performance.now();
+    
+    if (phase.mode === 'sync') {
+        for (let i = 0; i < state.programsPerFrame; i++) {
+            const sources = generateShaderVariant(state.variantIndex++, state.complexity, state.runSeed);
+            const program = submitShaderVariant(gl, sources);
+            finishShaderVariant(gl, state, program);
+            phase.completed++;
+        }
+    } else {
+        // Collect whatever finished, then keep a bounded number of programs in flight
+        state.pending = state.pending.filter(program => {
+            if (!gl.getProgramParameter(program, state.parallel.COMPLETION_STATUS_KHR)) return true;
+            finishShaderVariant(gl, state, program);
+            phase.completed++;
+            return false;
+        });
+        for (let i = 0; i < state.programsPerFrame && state.pending.length < state.programsPerFrame * 4; i++) {
+            const sources = generateShaderVariant(state.variantIndex++, state.complexity, state.runSeed);
+            state.pending.push(submitShaderVariant(gl, sources));
+        }
+    }
+    
+    const stall = performance.now() - start;
+    const second = Math.floor(getPhaseElapsed(state));
+    phase.compileTime += stall;
+    phase.worstStall = Math.max(phase.worstStall, stall);
+    if (stall > SHADER_HITCH_THRESHOLD) phase.hitches++;
+    phase.stallBySecond[second] = Math.max(phase.stallBySecond[second] || 0, stall);
+}
+
+// Close the current mode: note its active time and drain programs still compiling
+function finishShaderCompilePhase(state) {
+    const phase = state.phases[state.phaseIndex];
+    if (phase.duration !== undefined) return;
+    
+    phase.duration = getPhaseElapsed(state);
+    state.pending.forEach(program => state.gl.deleteProgram(program));
+    state.pending = [];
+}
+
+// Programs finished per second in a mode (live or final)
+function getShaderCompileRate(phase, seconds) {
+    return seconds > 0 ? phase.completed / seconds : 0;
+}
+
+// Live readouts: mode, throughput and the worst stall so far
+function getShaderCompileMetrics(state, fps) {
+    const phase = state.phases[state.phaseIndex];
+    return {
+        'Mode': `${state.phaseIndex + 1}/${state.phases.length} ${SHADER_COMPILE_MODES[phase.mode].label}`,
+        'Programs/s': getShaderCompileRate(phase, getPhaseElapsed(state)).toFixed(1),
+        'Worst Stall': `${phase.worstStall.toFixed(1)} ms`
+    };
+}
+
+// Throughput and stalls per mode, with the worst stall of every second charted
+function getShaderCompileReport(state) {
+    finishShaderCompilePhase(state);
+    
+    const metrics = {
+        'Programs Compiled': state.phases.reduce((total, phase) => total + phase.completed, 0),
+        'Statements per Variant': state.complexity
+    };
+    if (!state.parallel) {
+        metrics['KHR_parallel_shader_compile'] = 'Not supported';
+    }
+    if (state.failures > 0) {
+        metrics['Link Failures'] = state.failures;
+    }
+    
+    return {
+        metrics,
+        table: {
+            columns: ['Mode', 'Programs', 'Programs/s', 'Avg Main-Thread Cost', 'Worst Stall', `Frames > ${SHADER_HITCH_THRESHOLD} ms`],
+            rows: state.phases.map(phase => [
+                SHADER_COMPILE_MODES[phase.mode].label,
+                phase.completed,
+                getShaderCompileRate(phase, phase.duration).toFixed(1),
+                phase.completed > 0 ? `${(phase.compileTime / phase.completed).toFixed(2)} ms/program` : '-',
+                `${phase.worstStall.toFixed(1)} ms`,
+                phase.hitches
+            ])
+        },
+        chart: {
+            xLabel: 'Seconds into mode',
+            yLabel: 'Worst stall (ms)',
+            series: state.phases.map(phase => ({
+                name: SHADER_COMPILE_MODES[phase.mode].label,
+                color: SHADER_COMPILE_MODES[phase.mode].color,
+                points: Array.from(phase.stallBySecond, (stall, second) => [second, Number((stall || 0).toFixed(2))])
+            }))
+        }
+    };
+}
+
+// Delete programs that were still compiling when the test stopped
+function disposeShaderCompileWorkload(state) {
+    state.pending.forEach(program => state.gl.deleteProgram(program));
+    state.pending = [];
+}
+
+// Create the streaming workload: blobs on a sphere around the origin, each with dynamic
+// position and normal buffers (Three.js re-uploads those with bufferSubData when flagged)
+function createStreamingWorkload(config) {
+    const meshCount = isMobile ? Math.max(1, Math.floor(config.meshes * 0.5)) : config.meshes;
+    const radius = Math.min(1.5, 4 / Math.sqrt(meshCount));
+    const materials = createCubeMaterials();
+    const meshes = [];
+    let bytesPerFrame = 0;
+    let vertexCount = 0;
+    
+    for (let i = 0; i < meshCount; i++) {
+        const geometry = new THREE.SphereGeometry(radius, config.segments, config.segments / 2);
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal;
+        position.setUsage(THREE.DynamicDrawUsage);
+        normal.setUsage(THREE.DynamicDrawUsage);
+        
+        const mesh = new THREE.Mesh(geometry, materials[i % materials.length]);
+        // Fibonacci sphere layout keeps the blobs evenly spread for any count
+        const y = meshCount > 1 ? 1 - (i / (meshCount - 1)) * 2 : 0;
+        const ring = Math.sqrt(1 - y * y);
+        const theta = i * Math.PI * (3 - Math.sqrt(5));
+        mesh.position.set(Math.cos(theta) * ring * 5, y * 5, Math.sin(theta) * ring * 5);
+        mesh.userData = {
+            directions: Float32Array.from(normal.array),
+            phase: Math.random() * Math.PI * 2
+        };
+        
+        scene.add(mesh);
+        testObjects.push(mesh);
+        meshes.push(mesh);
+        bytesPerFrame += position.array.byteLength + normal.array.byteLength;
+        vertexCount += position.count;
+    }
+    addDefaultLights();
+    
+    updateObjectsDisplay(`${meshCount} meshes, ${vertexCount} vertices`);
+    console.log(`Created buffer streaming workload - ${meshCount} meshes, ${formatBytes(bytesPerFrame)} uploaded per frame`);
+    
+    return { meshes, radius, bytesPerFrame, vertexCount, cpuTime: 0 };
+}
+
+// Displace every vertex along its rest direction, rebuild normals, and flag both buffers for upload
+function updateStreamingWorkload(state, elapsedSeconds) {
+    const start = performance.now();
+    
+    state.meshes.forEach(mesh => {
+        const { directions, phase } = mesh.userData;
+        const positions = mesh.geometry.attributes.position.array;
+        const t = elapsedSeconds * 2 + phase;
+        
+        for (let i = 0; i < directions.length; i += 3) {
+            const x = directions[i];
+            const y = directions[i + 1];
+            const z = directions[i + 2];
+            const r = state.radius * (1 + 0.25 * Math.sin(x * 5 + t) * Math.sin(y * 6 + t * 1.3) * Math.sin(z * 4 + t * 0.7));
+            positions[i] = x * r;
+            positions[i + 1] = y * r;
+            positions[i + 2] = z * r;
+        }
+        
+        mesh.geometry.attributes.position.needsUpdate = true;
+        mesh.geometry.computeVertexNormals(); // Flags the normal buffer itself
+    });
+    
+    // Smoothed so the readout doesn't flicker
+    state.cpuTime = state.cpuTime * 0.9 + (performance.now() - start) * 0.1;
+}
+
+// Upload readouts: bytes streamed per frame, that volume at the frame rate actually reached (not a
+// measured transfer rate - vsync and the rest of the frame cap it), and the CPU time spent producing them
+function getStreamingMetrics(state, fps) {
+    return {
+        'Streamed Vertices': state.vertexCount,
+        'Upload/Frame': formatBytes(state.bytesPerFrame),
+        'Upload/s at current FPS': formatRate(state.bytesPerFrame * fps, 'B/s'),
+        'CPU Update': `${state.cpuTime.toFixed(1)} ms`
+    };
+}
+
+// Readback sizes (square, RGBA8) and methods with chart colours
+const READBACK_SIZES = [64, 256, 1024, 2048];
+const READBACK_METHODS = {
+    sync: { label: 'readPixels', color: '#ff4444' },
+    async: { label: 'PBO + fence', color: '#00ff88' }
+};
+
+// Create the readback test: a cube field rendered into a square target each frame and read back
+function createReadbackWorkload(config) {
+    const gl = renderer.getContext();
+    const objectCount = isMobile ? Math.floor(config.objects * 0.5) : config.objects;
+    const maxSize = Math.min(renderer.capabilities.maxTextureSize, isMobile ? 1024 : Infinity);
+    const methods = renderer.capabilities.isWebGL2 ? ['sync', 'async'] : ['sync'];
+    
+    createCubeMeshes(objectCount);
+    addDefaultLights();
+    
+    const phases = [];
+    READBACK_SIZES.filter(size => size <= maxSize).forEach(size => {
+        methods.forEach(method => phases.push({ size, method, latencies: [], stallTotal: 0 }));
+    });
+    
+    const state = {
+        gl,
+        phases,
+        phaseIndex: 0,
+        phaseDuration: testDuration / phases.length,
+        target: null,
+        pixels: null,
+        pbo: methods.includes('async') ? gl.createBuffer() : null,
+        pending: null,
+        objectCount
+    };
+    startReadbackPhase(state, 0);
+    
+    updateObjectsDisplay(`${objectCount} cubes`);
+    console.log(`Created readback test - ${phases.length} phases, methods: ${methods.map(method => READBACK_METHODS[method].label).join(', ')}`);
+    
+    return state;
+}
+
+// Size the render target, CPU buffer and PBO for a phase and restart its timing
+function startReadbackPhase(state, index) {
+    const gl = state.gl;
+    const phase = state.phases[index];
+    
+    cancelPendingReadback(state);
+    closeReadbackPhase(state);
+    state.phaseIndex = index;
+    if (!state.target || state.target.width !== phase.size) {
+        if (state.target) state.target.dispose();
+        state.target = new THREE.WebGLRenderTarget(phase.size, phase.size);
+        state.pixels = new Uint8Array(phase.size * phase.size * 4);
+        if (state.pbo) {
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, state.pbo);
+            gl.bufferData(gl.PIXEL_PACK_BUFFER, state.pixels.byteLength, gl.STREAM_READ);
+            gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        }
+    }
+    resetPhaseTiming(state);
+}
+
+// Note how long the current phase was measuring for (its throughput window)
+function closeReadbackPhase(state) {
+    const phase = state.phases[state.phaseIndex];
+    if (state.target && phase.measuredTime === undefined) {
+        phase.measuredTime = Math.max(0, getPhaseElapsed(state) - PHASE_WARMUP);
+    }
+}
+
+// Drop an async readback that is still in flight
+function cancelPendingReadback(state) {
+    if (state.pending) {
+        state.gl.deleteSync(state.pending.fence);
+        state.pending = null;
+    }
+}
+
+// Move to the next phase when this one has run its share of the test
+function updateReadbackWorkload(state, elapsedSeconds) {
+    if (getPhaseElapsed(state) >= state.phaseDuration && state.phaseIndex < state.phases.length - 1) {
+        startReadbackPhase(state, state.phaseIndex + 1);
+        return;
+    }
+    trackPhaseFrame(state);
+}
+
+// Record one finished readback once the phase is past its warmup
+function recordReadback(state, latency, stall) {
+    if (getPhaseElapsed(state) <= PHASE_WARMUP) return;
+    const phase = state.phases[state.phaseIndex];
+    phase.latencies.push(latency);
+    phase.stallTotal += stall;
+}
+
+// Blocking path: readPixels waits for the frame to finish, so latency and stall are the same
+function readPixelsSync(state) {
+    const start = performance.now();
+    renderer.readRenderTargetPixels(state.target, 0, 0, state.target.width, state.target.height, state.pixels);
+    const elapsed = performance.now() - start;
+    recordReadback(state, elapsed, elapsed);
+}
+
+// Async path: readPixels into a PBO behind a fence, collected on a later frame once the fence signals.
+// Latency is only as fine as the frame rate since the fence is polled once per frame.
+function readPixelsAsync(state) {
+    const gl = state.gl;
+    let stall = 0;
+    
+    if (state.pending) {
+        const start = performance.now();
+        const status = gl.clientWaitSync(state.pending.fence, 0, 0);
+        if (status === gl.TIMEOUT_EXPIRED) return;
+        
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, state.pbo);
+        gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, state.pixels);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        gl.deleteSync(state.pending.fence);
+        
+        const now = performance.now();
+        stall = state.pending.stall + (now - start);
+        recordReadback(state, now - state.pending.issuedAt, stall);
+        state.pending = null;
+    }
+    
+    // Target is still bound from the scene render
+    const issuedAt = performance.now();
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, state.pbo);
+    gl.readPixels(0, 0, state.target.width, state.target.height, gl.RGBA, gl.UNSIGNED_BYTE, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+    const fence = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+    state.pending = { fence, issuedAt, stall: performance.now() - issuedAt };
+}
+
+// Scene into the readback target, read it back, then the normal frame on the canvas
+function renderReadbackWorkload(state) {
+    renderer.setRenderTarget(state.target);
+    renderer.render(scene, camera);
+    
+    if (state.phases[state.phaseIndex].method === 'sync') {
+        readPixelsSync(state);
+    } else {
+        readPixelsAsync(state);
+    }
+    
+    renderer.setRenderTarget(null);
+    renderer.render(scene, camera);
+}
+
+// Averages for one phase: latency, worst latency, main-thread stall and achieved throughput
+// (bytes actually delivered per second with one readback issued per frame)
+function getReadbackStats(state, phase) {
+    const count = phase.latencies.length;
+    if (count === 0) return null;
+    
+    const measured = phase.measuredTime !== undefined ? phase.measuredTime : getPhaseElapsed(state) - PHASE_WARMUP;
+    const bytes = phase.size * phase.size * 4;
+    return {
+        latency: phase.latencies.reduce((total, latency) => total + latency, 0) / count,
+        worst: Math.max(...phase.latencies),
+        stall: phase.stallTotal / count,
+        throughput: measured > 0 ? bytes * count / measured : 0
+    };
+}
+
+// Live readouts: current size and method with its running averages
+function getReadbackMetrics(state, fps) {
+    const phase = state.phases[state.phaseIndex];
+    const stats = getReadbackStats(state, phase);
+    
+    return {
+        'Readback': `${state.phaseIndex + 1}/${state.phases.length} ${READBACK_METHODS[phase.method].label} ${phase.size}x${phase.size}`,
+        'Latency': stats ? `${stats.latency.toFixed(2)} ms` : '-',
+        'Throughput': stats ? formatRate(stats.throughput, 'B/s') : '-'
+    };
+}
+
+// Latency and throughput per size and method, with latency charted against size
+function getReadbackReport(state) {
+    closeReadbackPhase(state);
+    
+    const rows = [];
+    const points = { sync: [], async: [] };
+    state.phases.forEach(phase => {
+        const stats = getReadbackStats(state, phase);
+        if (!stats) return;
+        
+        rows.push([
+            `${phase.size}x${phase.size}`,
+            READBACK_METHODS[phase.method].label,
+            `${stats.latency.toFixed(2)} ms`,
+            `${stats.worst.toFixed(2)} ms`,
+            `${stats.stall.toFixed(2)} ms`,
+            formatRate(stats.throughput, 'B/s')
+        ]);
+        points[phase.method].push([phase.size, Number(stats.latency.toFixed(2))]);
+    });
+    
+    const largest = state.phases.filter(phase => phase.method === 'sync' && phase.latencies.length).pop();
+    const metrics = {};
+    if (largest) {
+        const stats = getReadbackStats(state, largest);
+        metrics['Full Readback'] = `${stats.latency.toFixed(2)} ms @ ${largest.size}x${largest.size}`;
+        metrics['Peak Throughput'] = formatRate(Math.max(...state.phases.map(phase => (getReadbackStats(state, phase) || { throughput: 0 }).throughput)), 'B/s');
+    }
+    if (!state.pbo) {
+        metrics['Async Readback'] = 'Needs WebGL2';
+    }
+    
+    return {
+        metrics,
+        table: {
+            columns: ['Size', 'Method', 'Latency', 'Worst', 'Main-Thread Stall', 'Throughput'],
+            rows
+        },
+        chart: {
+            xLabel: 'Readback size (px square)',
+            yLabel: 'Latency (ms)',
+            series: Object.keys(points).filter(method => points[method].length).map(method => ({
+                name: READBACK_METHODS[method].label,
+                color: READBACK_METHODS[method].color,
+                points: points[method]
+            }))
+        }
+    };
+}
+
+// Free the target, the PBO and any fence still pending
+function disposeReadbackWorkload(state) {
+    cancelPendingReadback(state);
+    if (state.pbo) state.gl.deleteBuffer(state.pbo);
+    state.target.dispose();
+}
+
+// VRAM probe tuning
+const VRAM_CHUNK_SIZE = 2048; // Texture edge per step (16 MB as RGBA8); buffers match its byte size
+const VRAM_BASELINE_STEPS = 5; // Steps that set the normal allocation rate
+const VRAM_COLLAPSE_FACTOR = 10; // A step this many times slower than normal counts as collapsed
+
+// Create the VRAM probe: a few cubes keep frames flowing while memory is allocated one chunk per frame
+function createVRAMProbe(config) {
+    const gl = renderer.getContext();
+    const chunkSize = Math.min(VRAM_CHUNK_SIZE, renderer.capabilities.maxTextureSize);
+    const limitMB = isMobile ? config.limitMB / 2 : config.limitMB;
+    
+    createCubeMeshes(100);
+    addDefaultLights();
+    
+    updateObjectsDisplay(`up to ${formatBytes(limitMB * 1024 * 1024)}`);
+    console.log(`Created VRAM probe - ${formatBytes(chunkSize * chunkSize * 4)} per step, limit ${limitMB} MB`);
+    
+    return {
+        gl,
+        chunkSize,
+        chunkBytes: chunkSize * chunkSize * 4,
+        limitBytes: limitMB * 1024 * 1024,
+        textures: [],
+        framebuffers: [],
+        buffers: [],
+        allocated: 0,
+        steps: [],
+        collapsedSteps: 0,
+        stopReason: null,
+        usableBytes: null,
+        pixel: new Uint8Array(4)
+    };
+}
+
+// Clear any stale GL errors so the next check only sees the new allocation
+function drainGLErrors(gl) {
+    while (gl.getError() !== gl.NO_ERROR && !gl.isContextLost()) {
+        // Keep reading until the error queue is empty
+    }
+}
+
+// Allocate one texture (cleared through its own framebuffer so the driver has to commit it)
+function allocateVRAMTexture(state) {
+    const gl = state.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, state.chunkSize, state.chunkSize, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    state.textures.push(texture);
+    if (gl.getError() === gl.OUT_OF_MEMORY) return false;
+    
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    state.framebuffers.push(framebuffer);
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) return false;
+    
+    gl.clearColor(Math.random(), Math.random(), Math.random(), 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    return true;
+}
+
+// Allocate one vertex buffer of the same size, writing into it so it is backed by real memory
+function allocateVRAMBuffer(state) {
+    const gl = state.gl;
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, state.chunkBytes, gl.STATIC_DRAW);
+    state.buffers.push(buffer);
+    if (gl.getError() === gl.OUT_OF_MEMORY) return false;
+    
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, new Uint8Array(Math.min(state.chunkBytes, 1024 * 1024)).fill(0xa5));
+    return true;
+}
+
+// One probe step per frame: alternate textures and buffers, timing each allocation to a GPU sync point
+function updateVRAMProbe(state, elapsedSeconds) {
+    if (state.stopReason) return;
+    
+    const gl = state.gl;
+    if (state.allocated + state.chunkBytes > state.limitBytes) {
+        finishVRAMProbe(state, 'Probe limit reached', state.allocated);
+        return;
+    }
+    
+    drainGLErrors(gl);
+    const start = performance.now();
+    const ok = state.steps.length % 2 === 0 ? allocateVRAMTexture(state) : allocateVRAMBuffer(state);
+    
+    if (gl.isContextLost()) {
+        finishVRAMProbe(state, 'Context lost', state.allocated);
+        return;
+    }
+    if (!ok) {
+        finishVRAMProbe(state, 'Allocation failed', state.allocated);
+        return;
+    }
+    
+    // readPixels waits for the clear and upload to finish
+    if (state.framebuffers.length > 0) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, state.framebuffers[state.framebuffers.length - 1]);
+        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, state.pixel);
+    }
+    const stepTime = performance.now() - start;
+    renderer.resetState();
+    
+    state.allocated += state.chunkBytes;
+    state.steps.push({ allocated: state.allocated, time: stepTime });
+    checkVRAMCollapse(state, stepTime);
+}
+
+// Stop once steps take far longer than the first few (the driver is paging or evicting)
+function checkVRAMCollapse(state, stepTime) {
+    if (state.steps.length <= VRAM_BASELINE_STEPS) return;
+    
+    if (!state.baselineTime) {
+        const times = state.steps.slice(0, VRAM_BASELINE_STEPS).map(step => step.time).sort((a, b) => a - b);
+        state.baselineTime = Math.max(times[Math.floor(times.length / 2)], 1);
+    }
+    
+    // Two slow steps in a row, so one hitch doesn't end the probe
+    state.collapsedSteps = stepTime > state.baselineTime * VRAM_COLLAPSE_FACTOR ? state.collapsedSteps + 1 : 0;
+    if (state.collapsedSteps >= 2) {
+        finishVRAMProbe(state, 'Throughput collapsed', state.allocated - state.chunkBytes * 2);
+    }
+}
+
+// Record the result and free everything straight away so the rest of the run is unaffected
+function finishVRAMProbe(state, reason, usableBytes) {
+    state.stopReason = reason;
+    state.usableBytes = Math.max(0, usableBytes);
+    releaseVRAMAllocations(state);
+    console.log(`VRAM probe stopped: ${reason} - estimated usable memory ${formatBytes(state.usableBytes)}`);
+}
+
+// Delete every probe texture, framebuffer and buffer (no-ops on a lost context)
+function releaseVRAMAllocations(state) {
+    const gl = state.gl;
+    state.framebuffers.forEach(framebuffer => gl.deleteFramebuffer(framebuffer));
+    state.textures.forEach(texture => gl.deleteTexture(texture));
+    state.buffers.forEach(buffer => gl.deleteBuffer(buffer));
+    state.framebuffers = [];
+    state.textures = [];
+    state.buffers = [];
+    renderer.resetState();
+}
+
+// Live readouts: memory held so far and the cost of the latest step
+function getVRAMProbeMetrics(state, fps) {
+    const lastStep = state.steps[state.steps.length - 1];
+    return {
+        'Status': state.stopReason ? `Done - ${state.stopReason}` : 'Probing...',
+        'Allocated': formatBytes(state.allocated),
+        'Step Time': lastStep ? `${lastStep.time.toFixed(1)} ms` : '-'
+    };
+}
+
+// Estimated usable memory, why the probe stopped, and step time charted against memory held
+function getVRAMProbeReport(state) {
+    const finished = !!state.stopReason;
+    const usable = finished ? state.usableBytes : state.allocated;
+    const textureSteps = Math.ceil(state.steps.length / 2);
+    
+    return {
+        metrics: {
+            'Estimated Usable Memory': finished && state.stopReason === 'Probe limit reached' ? `≥ ${formatBytes(usable)}` : formatBytes(usable),
+            'Stop Reason': finished ? state.stopReason : 'Test ended before the probe finished',
+            'Allocations': `${textureSteps} textures + ${state.steps.length - textureSteps} buffers of ${formatBytes(state.chunkBytes)}`,
+            'Probe Limit': formatBytes(state.limitBytes)
+        },
+        chart: {
+            xLabel: 'Allocated (MB)',
+            yLabel: 'Step time (ms)',
+            series: [{
+                name: 'Allocation step',
+                color: '#00ff88',
+                points: state.steps.map(step => [Math.round(step.allocated / (1024 * 1024)), Number(step.time.toFixed(2))])
+            }]
+        }
+    };
+}
+
+// Memory test patterns, in the order they are cycled
+const MEMTEST_PATTERNS = ['Walking ones', 'Checkerboard', 'Random'];
+const MEMTEST_READS_PER_PATTERN = 2; // Full read-back sweeps before the next pattern is written
+const MEMTEST_BAND_PIXELS = 256 * 1024; // Pixels verified per frame, so a sweep is spread over many frames
+const MEMTEST_REGION_SIZE = 64; // Failing regions are reported in blocks of this many pixels
+
+// Bits set in each byte value, for counting flipped bits
+const MEMTEST_BIT_COUNTS = Uint8Array.from({ length: 256 }, (_, value) => {
+    let bits = 0;
+    for (let v = value; v; v >>= 1) bits += v & 1;
+    return bits;
+});
+
+const MEMTEST_VERTEX_SHADER = `
+    precision highp float;
+    attribute vec3 position;
+    void main() {
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Pattern bytes from integer pixel coordinates, so getMemtestByte() can reproduce them on the CPU.
+// imod() floors (x + 0.5) / y, which sits at least 0.5 / y away from an integer; GLSL division is
+// only accurate to ~2.5 ulp, so every operand is kept small enough (below ~2^17) for that margin to
+// stay dozens of ulps wide. The +0.25 keeps truncating UNORM conversion exact.
+const MEMTEST_FRAGMENT_SHADER = `
+    precision highp float;
+    uniform float uPattern;
+    uniform float uSeed;
+    
+    float imod(float x, float y) {
+        return x - y * floor((x + 0.5) / y);
+    }
+    
+    float patternByte(vec2 p, float channel) {
+        if (uPattern < 0.5) {
+            return exp2(imod(p.x + p.y + uSeed + channel, 8.0));
+        } else if (uPattern < 1.5) {
+            return imod(p.x + p.y + uSeed, 2.0) < 0.5 ? 170.0 : 85.0;
+        }
+        float a = imod(imod(p.x, 251.0) * 73.0 + imod(p.y, 241.0) * 151.0 + imod(uSeed, 256.0) * 19.0 + channel * 37.0, 4093.0);
+        float b = imod(a * 23.0 + 11.0, 4093.0);
+        return imod(b * 31.0 + floor((b + 0.5) / 256.0), 256.0);
+    }
+    
+    void main() {
+        vec2 p = floor(gl_FragCoord.xy);
+        vec4 bytes = vec4(patternByte(p, 0.0), patternByte(p, 1.0), patternByte(p, 2.0), patternByte(p, 3.0));
+        gl_FragColor = (bytes + 0.25) / 255.0;
+    }
+`;
+
+// CPU reference for MEMTEST_FRAGMENT_SHADER
+function getMemtestByte(pattern, x, y, channel, seed) {
+    if (pattern === 0) {
+        return 1 << ((x + y + seed + channel) % 8);
+    } else if (pattern === 1) {
+        return (x + y + seed) % 2 === 0 ? 170 : 85;
+    }
+    const a = ((x % 251) * 73 + (y % 241) * 151 + (seed % 256) * 19 + channel * 37) % 4093;
+    const b = (a * 23 + 11) % 4093;
+    return (b * 31 + Math.floor(b / 256)) % 256;
+}
+
+// Create the memory test: pattern targets plus a cube field that keeps the GPU loaded while they are checked
+function createMemtestWorkload(config) {
+    const targetCount = isMobile ? Math.max(1, Math.floor(config.targets * 0.5)) : config.targets;
+    const targetSize = Math.min(config.targetSize, renderer.capabilities.maxTextureSize, isMobile ? 2048 : Infinity);
+    const bandRows = Math.max(1, Math.floor(MEMTEST_BAND_PIXELS / targetSize));
+    
+    createCubeMeshes(isMobile ? Math.floor(config.loadObjects * 0.5) : config.loadObjects);
+    addDefaultLights();
+    
+    const targets = [];
+    for (let i = 0; i < targetCount; i++) {
+        targets.push(new THREE.WebGLRenderTarget(targetSize, targetSize, {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            depthBuffer: false
+        }));
+    }
+    
+    const material = new THREE.RawShaderMaterial({
+        uniforms: {
+            uPattern: { value: 0 },
+            uSeed: { value: 0 }
+        },
+        vertexShader: MEMTEST_VERTEX_SHADER,
+        fragmentShader: MEMTEST_FRAGMENT_SHADER,
+        depthTest: false,
+        depthWrite: false
+    });
+    const patternScene = new THREE.Scene();
+    patternScene.add(createFullscreenQuad(material));
+    
+    const memoryBytes = targetCount * targetSize * targetSize * 4;
+    updateObjectsDisplay(`${targetCount} x ${targetSize}² (${formatBytes(memoryBytes)})`);
+    console.log(`Created GPU memory test - ${targetCount} targets of ${targetSize}x${targetSize}, ${formatBytes(memoryBytes)} under test`);
+    
+    return {
+        targets,
+        targetSize,
+        bandRows,
+        band: new Uint8Array(targetSize * bandRows * 4),
+        material,
+        patternScene,
+        memoryBytes,
+        pass: 0,
+        needsWrite: true,
+        cursor: { target: 0, row: 0, sweep: 0 },
+        patterns: MEMTEST_PATTERNS.map(label => ({ label, writes: 0, bytesChecked: 0, bitErrors: 0 })),
+        bitErrors: 0,
+        bytesChecked: 0,
+        regions: new Map(),
+        warnings: 0 // Console warnings are capped so a failing card doesn't flood the log
+    };
+}
+
+// Write the current pass's pattern into every target
+function writeMemtestPattern(state) {
+    const pattern = state.pass % MEMTEST_PATTERNS.length;
+    state.material.uniforms.uPattern.value = pattern;
+    state.material.uniforms.uSeed.value = state.pass;
+    
+    state.targets.forEach(target => {
+        renderer.setRenderTarget(target);
+        renderer.render(state.patternScene, camera);
+    });
+    renderer.setRenderTarget(null);
+    state.patterns[pattern].writes++;
+}
+
+// Read one band of rows back and compare every byte with the expected pattern
+function verifyMemtestBand(state) {
+    const { cursor, targetSize } = state;
+    const pattern = state.pass % MEMTEST_PATTERNS.length;
+    const rows = Math.min(state.bandRows, targetSize - cursor.row);
+    const band = state.band;
+    
+    renderer.readRenderTargetPixels(state.targets[cursor.target], 0, cursor.row, targetSize, rows, band);
+    
+    let bandErrors = 0;
+    for (let row = 0; row < rows; row++) {
+        const y = cursor.row + row;
+        for (let x = 0; x < targetSize; x++) {
+            const offset = (row * targetSize + x) * 4;
+            let pixelErrors = 0;
+            for (let channel = 0; channel < 4; channel++) {
+                const expected = getMemtestByte(pattern, x, y, channel, state.pass);
+                pixelErrors += MEMTEST_BIT_COUNTS[band[offset + channel] ^ expected];
+            }
+            if (pixelErrors > 0) {
+                const key = `${cursor.target}:${Math.floor(x / MEMTEST_REGION_SIZE)}:${Math.floor(y / MEMTEST_REGION_SIZE)}`;
+                state.regions.set(key, (state.regions.get(key) || 0) + pixelErrors);
+                bandErrors += pixelErrors;
+            }
+        }
+    }
+    
+    const bytes = rows * targetSize * 4;
+    state.bytesChecked += bytes;
+    state.bitErrors += bandErrors;
+    state.patterns[pattern].bytesChecked += bytes;
+    state.patterns[pattern].bitErrors += bandErrors;
+    if (bandErrors > 0 && state.warnings++ < 10) {
+        console.warn(`⚠️ ${bandErrors} bit errors in target ${cursor.target + 1}, rows ${cursor.row}-${cursor.row + rows - 1} (${MEMTEST_PATTERNS[pattern]})`);
+    }
+    
+    // Advance: next band, next target, next sweep, then the next pattern
+    cursor.row += rows;
+    if (cursor.row < targetSize) return;
+    cursor.row = 0;
+    cursor.target++;
+    if (cursor.target < state.targets.length) return;
+    cursor.target = 0;
+    cursor.sweep++;
+    if (cursor.sweep < MEMTEST_READS_PER_PATTERN) return;
+    cursor.sweep = 0;
+    state.pass++;
+    state.needsWrite = true;
+}
+
+// Load frame on the canvas, then either write a new pattern or verify the next band
+function renderMemtestWorkload(state) {
+    renderer.render(scene, camera);
+    
+    if (state.needsWrite) {
+        writeMemtestPattern(state);
+        state.needsWrite = false;
+    } else {
+        verifyMemtestBand(state);
+    }
+}
+
+// Live readouts: current pattern, errors so far and how much data has been verified
+function getMemtestMetrics(state, fps) {
+    return {
+        'Pattern': `${MEMTEST_PATTERNS[state.pass % MEMTEST_PATTERNS.length]} (pass ${state.pass + 1})`,
+        'Bit Errors': state.bitErrors,
+        'Under Test': formatBytes(state.memoryBytes),
+        'Verified': formatBytes(state.bytesChecked)
+    };
+}
+
+// Error count, the worst regions, and a per-pattern breakdown
+function getMemtestReport(state) {
+    const regions = Array.from(state.regions.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([key, errors]) => {
+            const [target, blockX, blockY] = key.split(':').map(Number);
+            const x = blockX * MEMTEST_REGION_SIZE;
+            const y = blockY * MEMTEST_REGION_SIZE;
+            return `Target ${target + 1} (${x},${y})-(${x + MEMTEST_REGION_SIZE - 1},${y + MEMTEST_REGION_SIZE - 1}): ${errors} bits`;
+        });
+    
+    return {
+        metrics: {
+            'Verdict': state.bitErrors > 0 ? '❌ Memory errors detected' : '✅ No bit errors',
+            'Bit Errors': state.bitErrors,
+            'Under Test': formatBytes(state.memoryBytes),
+            'Verified': formatBytes(state.bytesChecked),
+            'Failing Regions': regions.length ? `${state.regions.size} - ${regions.join('; ')}` : 'None'
+        },
+        table: {
+            columns: ['Pattern', 'Writes', 'Verified', 'Bit Errors'],
+            rows: state.patterns.map(pattern => [pattern.label, pattern.writes, formatBytes(pattern.bytesChecked), pattern.bitErrors])
+        }
+    };
+}
+
+// Free the pattern targets and the quad
+function disposeMemtestWorkload(state) {
+    state.targets.forEach(target => target.dispose());
+    state.patternScene.children.forEach(quad => quad.geometry.dispose());
+    state.material.dispose();
+}
+
+// Custom shader workload: the last source used is kept between visits
+const CUSTOM_SHADER_STORAGE_KEY = 'gpuTestCustomShader';
+
+const DEFAULT_CUSTOM_SHADER = `// Shadertoy-style entry point: iTime, iTimeDelta, iFrame, iResolution and iMouse are available
+void mainImage(out vec4 fragColor, in vec2 fragCoord) {
+    vec2 uv = (2.0 * fragCoord - iResolution.xy) / iResolution.y;
+    vec3 color = vec3(0.0);
+    for (int i = 0; i < 64; i++) {
+        float t = iTime * 0.3 + float(i) * 0.05;
+        uv = abs(uv) / dot(uv, uv) - vec2(0.9 + 0.1 * sin(t), 0.6 + 0.1 * cos(t));
+        color += 0.015 * (0.5 + 0.5 * cos(vec3(0.0, 2.0, 4.0) + float(i) * 0.15 + iTime));
+    }
+    fragColor = vec4(color, 1.0);
+}
+`;
+
+// Wrap a mainImage() source in a complete program for this context. The user code goes last so
+// compiler line numbers map straight back to it by subtracting `userLineOffset`.
+function buildCustomShaderSources(userSource) {
+    const isWebGL2 = renderer.capabilities.isWebGL2;
+    const fragmentPrefix = [
+        isWebGL2 ? '#version 300 es' : null,
+        'precision highp float;',
+        'precision highp int;',
+        'uniform vec3 iResolution;',
+        'uniform float iTime;',
+        'uniform float iTimeDelta;',
+        'uniform int iFrame;',
+        'uniform vec4 iMouse;',
+        isWebGL2 ? 'out vec4 customFragColor;' : null,
+        'void mainImage(out vec4 fragColor, in vec2 fragCoord);',
+        'void main() {',
+        '    vec4 color = vec4(0.0, 0.0, 0.0, 1.0);',
+        '    mainImage(color, gl_FragCoord.xy);',
+        `    ${isWebGL2 ? 'customFragColor' : 'gl_FragColor'} = vec4(color.rgb, 1.0);`,
+        '}'
+    ].filter(line => line !== null);
+    
+    return {
+        vertex: isWebGL2
+            ? '#version 300 es\nin vec3 position;\nvoid main() {\n    gl_Position = vec4(position.xy, 0.0, 1.0);\n}\n'
+            : 'attribute vec3 position;\nvoid main() {\n    gl_Position = vec4(position.xy, 0.0, 1.0);\n}\n',
+        fragment: fragmentPrefix.join('\n') + '\n' + userSource,
+        userLineOffset: fragmentPrefix.length
+    };
+}
+
+// Turn a compile or link log into { line, message } entries (line is null when the log has none).
+// Handles both "ERROR: 0:12: message" (ANGLE) and "0:12(5): error: message" (Mesa) styles.
+function parseShaderErrors(log, userLineOffset) {
+    return log.split('\n')
+        .map(line => line.replace(/^Shader compile failed: |^Program link failed: /, '').trim())
+        .filter(line => line.length > 0)
+        .map(line => {
+            const match = line.match(/^(?:ERROR:\s*)?\d+:(\d+)(?:\(\d+\))?:\s*(?:error:\s*)?(.*)$/i);
+            if (!match) return { line: null, message: line };
+            const userLine = Number(match[1]) - userLineOffset;
+            return { line: userLine > 0 ? userLine : null, message: match[2] };
+        });
+}
+
+// Current source in the editor (or the built-in sample when there's no editor)
+function getCustomShaderSource() {
+    const editor = document.getElementById('custom-shader-source');
+    return editor && editor.value.trim() ? editor.value : DEFAULT_CUSTOM_SHADER;
+}
+
+// List compile errors under the editor, each with its line number and the offending source line
+function showCustomShaderErrors(errors, source) {
+    const errorsEl = document.getElementById('custom-shader-errors');
+    if (!errorsEl) return;
+    
+    errorsEl.textContent = '';
+    errorsEl.style.display = errors.length ? 'block' : 'none';
+    const sourceLines = source.split('\n');
+    
+    errors.forEach(error => {
+        const row = document.createElement('div');
+        row.className = 'shader-error';
+        
+        const location = document.createElement('span');
+        location.className = 'shader-error-line';
+        location.textContent = error.line ? `Line ${error.line}` : 'Shader';
+        row.appendChild(location);
+        row.appendChild(document.createTextNode(` ${error.message}`));
+        
+        if (error.line && sourceLines[error.line - 1] !== undefined) {
+            const code = document.createElement('code');
+            code.textContent = sourceLines[error.line - 1].trim();
+            row.appendChild(code);
+        }
+        errorsEl.appendChild(row);
+    });
+}
+
+// Compile the editor's shader before the test starts; errors go inline instead of through showError()
+function validateCustomShader() {
+    const gl = renderer.getContext();
+    const source = getCustomShaderSource();
+    const sources = buildCustomShaderSources(source);
+    
+    try {
+        const program = compileGLProgram(gl, sources.vertex, sources.fragment);
+        gl.deleteProgram(program);
+    } catch (error) {
+        const errors = parseShaderErrors(error.message, sources.userLineOffset);
+        showCustomShaderErrors(errors, source);
+        console.warn(`⚠️ Custom shader failed to compile - ${errors.length} error(s)`);
+        return false;
+    }
+    
+    showCustomShaderErrors([], source);
+    localStorage.setItem(CUSTOM_SHADER_STORAGE_KEY, source);
+    return true;
+}
+
+// Hook up the editor: restore the last shader, load local files into it, clear stale errors on edit
+function initCustomShaderPanel() {
+    const editor = document.getElementById('custom-shader-source');
+    const fileInput = document.getElementById('custom-shader-file');
+    if (!editor) return;
+    
+    if (!editor.value.trim()) {
+        editor.value = localStorage.getItem(CUSTOM_SHADER_STORAGE_KEY) || DEFAULT_CUSTOM_SHADER;
+    }
+    editor.oninput = () => showCustomShaderErrors([], editor.value);
+    
+    if (fileInput) {
+        fileInput.onchange = () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                editor.value = text;
+                showCustomShaderErrors([], text);
+                console.log(`📄 Loaded shader from ${file.name}`);
+            });
+        };
+    }
+}
+
+// Create the custom shader workload: the validated source on a full-screen quad at the level's resolution scale
+function createCustomShaderWorkload(config) {
+    const sources = buildCustomShaderSources(getCustomShaderSource());
+    const resolutionScale = isMobile ? Math.min(config.resolutionScale, 1) : config.resolutionScale;
+    const previousPixelRatio = renderer.getPixelRatio();
+    renderer.setPixelRatio(previousPixelRatio * resolutionScale);
+    
+    const size = getDrawingBufferSize();
+    const material = new THREE.RawShaderMaterial({
+        uniforms: {
+            iResolution: { value: new THREE.Vector3(size.x, size.y, 1) },
+            iTime: { value: 0 },
+            iTimeDelta: { value: 0 },
+            iFrame: { value: 0 },
+            iMouse: { value: new THREE.Vector4() }
+        },
+        vertexShader: sources.vertex,
+        fragmentShader: sources.fragment,
+        depthWrite: false,
+        depthTest: false
+    });
+    
+    const quad = createFullscreenQuad(material);
+    scene.add(quad);
+    testObjects.push(quad);
+    
+    updateObjectsDisplay(`${size.x}x${size.y}`);
+    console.log(`Created custom shader workload - ${size.x}x${size.y} (${resolutionScale}x resolution)`);
+    
+    const state = { material, previousPixelRatio, resolutionScale, lastTime: 0, mouseDown: false, clickPending: false };
+    bindCustomShaderMouse(state);
+    return state;
+}
+
+// Shadertoy iMouse: xy follows the pointer while a button is held, zw is the last click position.
+// z is negative once the button is released and w is positive only on the frame of the click.
+// Listeners go on the window because the test page readouts sit on top of the canvas.
+function bindCustomShaderMouse(state) {
+    const mouse = state.material.uniforms.iMouse.value;
+    const toPixels = event => {
+        const rect = renderer.domElement.getBoundingClientRect();
+        const size = getDrawingBufferSize();
+        return {
+            x: (event.clientX - rect.left) * size.x / (rect.width || 1),
+            y: (rect.bottom - event.clientY) * size.y / (rect.height || 1)
+        };
+    };
+    
+    state.mouseHandlers = {
+        pointerdown: event => {
+            const point = toPixels(event);
+            mouse.set(point.x, point.y, point.x, point.y);
+            state.mouseDown = true;
+            state.clickPending = true;
+        },
+        pointermove: event => {
+            if (!state.mouseDown) return;
+            const point = toPixels(event);
+            mouse.x = point.x;
+            mouse.y = point.y;
+        },
+        pointerup: () => {
+            state.mouseDown = false;
+            mouse.z = -Math.abs(mouse.z);
+        }
+    };
+    Object.keys(state.mouseHandlers).forEach(type => window.addEventListener(type, state.mouseHandlers[type]));
+}
+
+// Shadertoy inputs: clock, frame counter, the canvas size and the click flag in iMouse.w
+function updateCustomShaderWorkload(state, elapsedSeconds) {
+    const uniforms = state.material.uniforms;
+    const mouse = uniforms.iMouse.value;
+    if (state.clickPending) {
+        state.clickPending = false;
+    } else if (mouse.w > 0) {
+        mouse.w = -mouse.w;
+    }
+
+    const size = getDrawingBufferSize();
+    uniforms.iResolution.value.set(size.x, size.y, 1);
+    uniforms.iTimeDelta.value = elapsedSeconds - state.lastTime;
+    uniforms.iTime.value = elapsedSeconds;
+    uniforms.iFrame.value++;
+    state.lastTime = elapsedSeconds;
+}
+
+// Pixel throughput of the user's shader
+function getCustomShaderMetrics(state, fps) {
+    const size = state.material.uniforms.iResolution.value;
+    return {
+        'Resolution': `${size.x}x${size.y} (${state.resolutionScale}x)`,
+        'Pixels/s': formatRate(size.x * size.y * fps),
+        'Frame Time': `${(1000 / Math.max(fps, 1)).toFixed(1)} ms`
+    };
+}
+
+// Put the canvas back at its normal resolution and stop tracking the pointer
+function disposeCustomShaderWorkload(state) {
+    Object.keys(state.mouseHandlers).forEach(type => window.removeEventListener(type, state.mouseHandlers[type]));
+    renderer.setPixelRatio(state.previousPixelRatio);
+}
+
+// GLTFLoader isn't part of three.min.js; it is fetched from the same release the first time a model is dropped
+const GLTF_LOADER_URL = './GLTFLoader.js'; // three r128 examples/js/loaders/GLTFLoader.js, served from our own origin for the CSP
+const GLTF_MODEL_SIZE = 1.5; // Models are scaled so their largest side matches this (cubes are 0.5)
+let gltfLoaderPromise = null;
+
+// Load THREE.GLTFLoader on first use
+function loadGLTFLoader() {
+    if (THREE.GLTFLoader) return Promise.resolve();
+    if (gltfLoaderPromise) return gltfLoaderPromise;
+    
+    gltfLoaderPromise = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.onload = () => {
+            if (THREE.GLTFLoader) {
+                resolve();
+                return;
+            }
+            gltfLoaderPromise = null;
+            reject(new Error('GLTFLoader.js loaded but did not define THREE.GLTFLoader'));
+        };
+        script.onerror = () => {
+            gltfLoaderPromise = null; // Allow a retry on the next drop
+            reject(new Error(`GLTFLoader could not be loaded from ${GLTF_LOADER_URL}`));
+        };
+        script.src = GLTF_LOADER_URL;
+        document.head.appendChild(script);
+    });
+    return gltfLoaderPromise;
+}
+
+// Status line under the drop zone
+function setGLTFStatus(message, isError = false) {
+    const statusEl = document.getElementById('gltf-status');
+    if (!statusEl) return;
+    statusEl.textContent = message;
+    statusEl.style.color = isError ? '#ff4444' : '#00ff88';
+}
+
+// Triangle, material and mesh counts of a loaded glTF scene
+function getModelStats(root) {
+    const materials = new Set();
+    let triangles = 0;
+    let meshes = 0;
+    
+    root.traverse(object => {
+        if (!object.isMesh) return;
+        meshes++;
+        const geometry = object.geometry;
+        triangles += (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+        (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => materials.add(material));
+    });
+    
+    return { triangles: Math.round(triangles), materials: materials.size, meshes };
+}
+
+// Free the previous model's geometries, materials and textures
+function disposeDroppedModel() {
+    if (!droppedModel) return;
+    droppedModel.scene.traverse(object => {
+        if (!object.isMesh) return;
+        object.geometry.dispose();
+        (Array.isArray(object.material) ? object.material : [object.material]).forEach(material => {
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+    });
+    droppedModel = null;
+}
+
+// Load dropped files: one .glb/.gltf plus, for .gltf, any .bin and texture files dropped alongside it
+function loadDroppedModel(files) {
+    const modelFile = files.find(file => /\.(glb|gltf)$/i.test(file.name));
+    if (!modelFile) {
+        setGLTFStatus('No .glb or .gltf file found in the drop', true);
         return;
     }
     
-    if (!scene) {
-        console.warn('⚠️ createStressTestObjects called but Three.js scene is not available - aborting');
-        return;
+    setGLTFStatus(`Loading ${modelFile.name}...`);
+    loadGLTFLoader().then(() => {
+        // Relative URLs inside a .gltf resolve against the blob URL, so map them back by file name
+        const urls = {};
+        files.forEach(file => {
+            urls[file.name] = URL.createObjectURL(file);
+        });
+        const manager = new THREE.LoadingManager();
+        manager.setURLModifier(url => urls[decodeURIComponent(url.split('/').pop())] || url);
+        const releaseURLs = () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+        
+        new THREE.GLTFLoader(manager).load(urls[modelFile.name], gltf => {
+            releaseURLs();
+            disposeDroppedModel();
+            droppedModel = Object.assign({ name: modelFile.name, scene: gltf.scene }, getModelStats(gltf.scene));
+            setGLTFStatus(`✅ ${droppedModel.name}: ${droppedModel.triangles.toLocaleString()} triangles, ${droppedModel.materials} materials`);
+            console.log(`📦 Loaded glTF model ${droppedModel.name}`, droppedModel);
+        }, undefined, error => {
+            releaseURLs();
+            setGLTFStatus(`Could not load ${modelFile.name}: ${error.message || error}`, true);
+            console.error('glTF load failed:', error);
+        });
+    }).catch(error => {
+        setGLTFStatus(error.message, true);
+    });
+}
+
+// Accept models from the drop zone, its file picker, or a drop anywhere on the page while no test runs
+function initGLTFDropZone() {
+    const dropZone = document.getElementById('gltf-drop-zone');
+    const fileInput = document.getElementById('gltf-file');
+    const hasFiles = event => event.dataTransfer && Array.from(event.dataTransfer.types || []).includes('Files');
+    
+    if (fileInput) {
+        fileInput.onchange = () => loadDroppedModel(Array.from(fileInput.files));
+    }
+    if (dropZone) {
+        dropZone.ondragenter = () => dropZone.classList.add('drag-over');
+        dropZone.ondragleave = () => dropZone.classList.remove('drag-over');
     }
     
-    testObjects = [];
-    const levelConfig = testLevels[currentLevel];
-    const baseObjectCount = levelConfig.objects;
+    document.addEventListener('dragover', event => {
+        if (!isTestRunning && hasFiles(event)) event.preventDefault();
+    });
+    document.addEventListener('drop', event => {
+        if (isTestRunning || !hasFiles(event)) return;
+        event.preventDefault();
+        if (dropZone) dropZone.classList.remove('drag-over');
+        
+        // Switch the picker to this workload so the dropped model is what runs next
+        const workloadSelect = document.getElementById('workload-select');
+        if (workloadSelect && workloadSelect.value !== 'gltf') {
+            workloadSelect.value = 'gltf';
+            if (workloadSelect.onchange) workloadSelect.onchange();
+        }
+        loadDroppedModel(Array.from(event.dataTransfer.files));
+    });
+}
+
+// The glTF workload needs a model before it can start
+function validateGLTFWorkload() {
+    if (droppedModel) return true;
+    setGLTFStatus('Drop a .glb or .gltf file here before starting the test', true);
+    return false;
+}
+
+// Replicate the dropped model to the level's object count, scattered and spinning like the cube field
+function createGLTFWorkload() {
+    const baseObjectCount = testLevels[currentLevel].objects;
     const objectCount = isMobile ? Math.floor(baseObjectCount * 0.5) : baseObjectCount;
     
-    const geometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-    const materials = [
-        new THREE.MeshPhongMaterial({ color: 0x00ff88 }),
-        new THREE.MeshPhongMaterial({ color: 0xff4444 }),
-        new THREE.MeshPhongMaterial({ color: 0x4444ff }),
-        new THREE.MeshPhongMaterial({ color: 0xffff44 }),
-        new THREE.MeshPhongMaterial({ color: 0xff44ff })
-    ];
+    const bounds = new THREE.Box3().setFromObject(droppedModel.scene);
+    const size = bounds.getSize(new THREE.Vector3());
+    const center = bounds.getCenter(new THREE.Vector3());
+    const scale = GLTF_MODEL_SIZE / (Math.max(size.x, size.y, size.z) || 1);
     
     for (let i = 0; i < objectCount; i++) {
-        const material = materials[i % materials.length];
-        const cube = new THREE.Mesh(geometry, material);
-        
-        // Random position
-        cube.position.x = (Math.random() - 0.5) * 20;
-        cube.position.y = (Math.random() - 0.5) * 20;
-        cube.position.z = (Math.random() - 0.5) * 20;
+        // Clones share geometry and materials with droppedModel, which outlives the run
+        const model = droppedModel.scene.clone();
+        model.position.copy(center).multiplyScalar(-scale);
+        model.scale.setScalar(scale);
         
-        // Random rotation speed
-        cube.userData = {
+        const copy = new THREE.Group();
+        copy.add(model);
+        copy.position.set((Math.random() - 0.5) * 20, (Math.random() - 0.5) * 20, (Math.random() - 0.5) * 20);
+        copy.userData = {
             rotationSpeed: {
                 x: (Math.random() - 0.5) * 0.02,
                 y: (Math.random() - 0.5) * 0.02,
@@ -239,41 +5987,339 @@ function createStressTestObjects() {
             }
         };
         
-        scene.add(cube);
-        testObjects.push(cube);
+        scene.add(copy);
+        testObjects.push(copy);
     }
+    addDefaultLights();
     
-    // Add lighting
-    const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
-    scene.add(ambientLight);
+    updateObjectsDisplay(objectCount);
+    console.log(`Created ${objectCount} copies of ${droppedModel.name} - ${(droppedModel.triangles * objectCount).toLocaleString()} triangles per frame`);
     
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(1, 1, 1);
-    scene.add(directionalLight);
+    return { objectCount };
+}
+
+// Triangle throughput of the replicated model
+function getGLTFMetrics(state, fps) {
+    const trianglesPerFrame = droppedModel.triangles * state.objectCount;
+    return {
+        'Model': droppedModel.name,
+        'Triangles/Frame': formatRate(trianglesPerFrame),
+        'Triangles/s': formatRate(trianglesPerFrame * fps)
+    };
+}
+
+// Asset stats alongside the run: what one copy costs and how many were drawn
+function getGLTFReport(state) {
+    return {
+        metrics: {
+            'Model': droppedModel.name,
+            'Triangles (asset)': droppedModel.triangles.toLocaleString(),
+            'Materials (asset)': droppedModel.materials,
+            'Meshes (asset)': droppedModel.meshes,
+            'Copies': state.objectCount,
+            'Triangles/Frame': formatRate(droppedModel.triangles * state.objectCount)
+        }
+    };
+}
+
+// Multi-context: a grid of small canvases, each with its own WebGL context, scene and cubes, all rendered
+// every frame. Contexts are added one at a time so the point where the browser starts dropping contexts
+// (and which ones it drops) shows up in the results. The main renderer would always be the oldest context
+// and the first one evicted, so it releases its context for the run and restores it afterwards
+const CONTEXT_SPAWN_INTERVAL = 0.25; // Seconds between new contexts
+const CONTEXT_CANVAS_WIDTH = 200;
+const CONTEXT_CANVAS_HEIGHT = 150;
+
+// Small canvas with its own renderer and cube scene
+function createContextWidget(state) {
+    const index = state.contexts.length;
+    const canvas = document.createElement('canvas');
+    canvas.className = 'context-widget';
+    state.container.appendChild(canvas);
+
+    const context = {
+        label: `Canvas ${index}`,
+        canvas,
+        createdAt: state.elapsed,
+        lostAt: null,
+        frames: 0,
+        renderTime: 0
+    };
+    context.onLost = () => handleContextLost(state, context);
+    canvas.addEventListener('webglcontextlost', context.onLost);
+
+    try {
+        context.renderer = new THREE.WebGLRenderer({ canvas, antialias: false });
+    } catch (error) {
+        // Some browsers refuse a new context outright instead of dropping an old one - that is the limit too
+        console.warn(`⚠️ Could not create WebGL context ${index}:`, error);
+        context.failed = true;
+        context.lostAt = state.elapsed;
+        state.refusedCount++;
+        if (state.limitReachedAt === null) {
+            state.limitReachedAt = index + 1;
+        }
+        state.contexts.push(context);
+        return;
+    }
+    context.renderer.setPixelRatio(1);
+    context.renderer.setSize(CONTEXT_CANVAS_WIDTH, CONTEXT_CANVAS_HEIGHT, false);
+    context.renderer.setClearColor(0x111111);
+
+    // Geometry and materials can't be shared across contexts, so every widget builds its own
+    context.scene = new THREE.Scene();
+    context.camera = new THREE.PerspectiveCamera(60, CONTEXT_CANVAS_WIDTH / CONTEXT_CANVAS_HEIGHT, 0.1, 100);
+    context.geometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
+    context.material = new THREE.MeshPhongMaterial({ color: new THREE.Color().setHSL(index * 0.13 % 1, 0.7, 0.5) });
+    context.cubes = [];
+    for (let i = 0; i < state.objectsPerContext; i++) {
+        const cube = new THREE.Mesh(context.geometry, context.material);
+        cube.position.set((Math.random() - 0.5) * 10, (Math.random() - 0.5) * 10, (Math.random() - 0.5) * 10);
+        cube.userData = { spin: (Math.random() - 0.5) * 0.04 };
+        context.scene.add(cube);
+        context.cubes.push(cube);
+    }
+    context.scene.add(new THREE.AmbientLight(0x404040, 0.4));
+    const light = new THREE.DirectionalLight(0xffffff, 0.8);
+    light.position.set(1, 1, 1);
+    context.scene.add(light);
+
+    state.contexts.push(context);
+}
+
+// Record a dropped context; the first drop marks the browser's limit
+function handleContextLost(state, context) {
+    if (context.lostAt !== null) return;
+    context.lostAt = state.elapsed;
+    state.lostOrder.push(context);
+    if (state.limitReachedAt === null) {
+        state.limitReachedAt = state.contexts.length;
+    }
+    console.warn(`⚠️ WebGL context lost: ${context.label} after ${context.lostAt.toFixed(1)}s`);
+}
+
+// Release the main renderer's context and set up an empty widget grid; widgets are added over time by update
+function createMultiContextWorkload(config) {
+    const contextCount = isMobile ? Math.ceil(config.contexts / 2) : config.contexts;
+
+    const container = document.createElement('div');
+    container.className = 'context-grid';
+    document.body.appendChild(container);
+
+    const state = {
+        contextCount,
+        objectsPerContext: config.objectsPerContext,
+        container,
+        contexts: [],
+        lostOrder: [],
+        limitReachedAt: null,
+        refusedCount: 0,
+        elapsed: 0
+    };
+
+    // A released context no longer counts against the browser's limit, so only widgets are in the race.
+    // Without WEBGL_lose_context the main renderer stays live and can still be evicted - watch for that
+    renderer.forceContextLoss();
+    state.mainReleased = renderer.getContext().isContextLost();
+    state.mainEvicted = false;
+    state.onMainLost = () => {
+        if (state.mainReleased) return;
+        state.mainEvicted = true;
+        console.warn('⚠️ Main renderer context was evicted by the multi-context test');
+    };
+    renderer.domElement.addEventListener('webglcontextlost', state.onMainLost);
+    if (!state.mainReleased) {
+        console.warn('⚠️ Could not release the main renderer context - it takes part in the context limit');
+    }
+
+    updateObjectsDisplay(config.objectsPerContext * contextCount);
+    console.log(`Multi-context test: ${contextCount} extra contexts x ${config.objectsPerContext} cubes`);
+    return state;
+}
+
+// Add the next context when due and animate every live widget
+function updateMultiContextWorkload(state, elapsedSeconds) {
+    state.elapsed = elapsedSeconds;
+    if (state.contexts.length < state.contextCount && elapsedSeconds >= state.contexts.length * CONTEXT_SPAWN_INTERVAL) {
+        createContextWidget(state);
+    }
+
+    state.contexts.forEach(context => {
+        if (context.lostAt !== null) return;
+        context.cubes.forEach(cube => {
+            cube.rotation.x += cube.userData.spin;
+            cube.rotation.y += cube.userData.spin;
+        });
+        context.camera.position.set(Math.cos(elapsedSeconds * 0.3) * 12, 3, Math.sin(elapsedSeconds * 0.3) * 12);
+        context.camera.lookAt(0, 0, 0);
+    });
+}
+
+// Every live widget in turn - each render switches to a different context
+function renderMultiContextWorkload(state) {
+    state.contexts.forEach(context => {
+        if (context.lostAt !== null) return;
+        const start = performance.now();
+        context.renderer.render(context.scene, context.camera);
+        context.renderTime += performance.now() - start;
+        context.frames++;
+    });
+}
+
+// Frames presented per second of a context's lifetime
+function getContextFPS(context, elapsedSeconds) {
+    const end = context.lostAt !== null ? context.lostAt : elapsedSeconds;
+    const seconds = end - context.createdAt;
+    return seconds > 0 ? context.frames / seconds : 0;
+}
+
+// Live contexts out of those requested, losses so far and the slowest live context
+function getMultiContextMetrics(state, fps) {
+    const alive = state.contexts.filter(context => context.lostAt === null);
+    const slowest = alive.length > 0 ? Math.min(...alive.map(context => getContextFPS(context, state.elapsed))) : 0;
+    return {
+        'Contexts Alive': `${alive.length}/${state.contextCount}`,
+        'Contexts Lost': state.lostOrder.length,
+        'Slowest Context': `${slowest.toFixed(0)} FPS`
+    };
+}
+
+// Per-context FPS and render cost, and whether the browser dropped the oldest contexts first
+function getMultiContextReport(state) {
+    const contexts = state.contexts;
+    const lost = state.lostOrder;
+
+    // Oldest-first means the lost contexts are exactly the earliest successfully created ones, in order
+    const created = contexts.filter(context => !context.failed);
+    let dropOrder = 'None dropped (limit not reached)';
+    if (lost.length > 0) {
+        const oldestFirst = lost.every((context, i) => context === created[i]);
+        dropOrder = oldestFirst ? 'Oldest first' : 'Not oldest first';
+    } else if (state.refusedCount > 0) {
+        dropOrder = 'None dropped (new contexts refused instead)';
+    }
+
+    const metrics = {
+        'Contexts Requested': state.contextCount,
+        'Contexts Created': created.length,
+        'Contexts Refused': state.refusedCount,
+        'Contexts Alive at End': contexts.filter(context => context.lostAt === null).length,
+        'Contexts Lost': lost.length,
+        'Context Limit Reached At': state.limitReachedAt !== null ? `${state.limitReachedAt} contexts` : 'Not reached',
+        'Drop Order': dropOrder
+    };
+    if (state.mainEvicted) {
+        metrics['Main Renderer'] = 'Evicted - reload the page if the next test stays black';
+    }
+
+    return {
+        metrics,
+        table: {
+            columns: ['Context', 'Created', 'FPS', 'Render Time', 'Status'],
+            rows: contexts.map(context => [
+                context.label,
+                `${context.createdAt.toFixed(2)}s`,
+                getContextFPS(context, state.elapsed).toFixed(1),
+                context.frames > 0 ? `${(context.renderTime / context.frames).toFixed(2)} ms` : '-',
+                context.failed ? 'Creation failed' : (context.lostAt !== null ? `Lost at ${context.lostAt.toFixed(1)}s` : 'Alive')
+            ])
+        }
+    };
+}
+
+// Release every widget context right away so the browser's context slots free up
+function disposeMultiContextWorkload(state) {
+    renderer.domElement.removeEventListener('webglcontextlost', state.onMainLost);
+    state.contexts.forEach(context => {
+        context.canvas.removeEventListener('webglcontextlost', context.onLost);
+        if (!context.renderer) return;
+        context.geometry.dispose();
+        context.material.dispose();
+        context.renderer.dispose();
+        context.renderer.forceContextLoss();
+    });
+    state.container.remove();
+
+    // The widget slots are free again; Three.js rebuilds its GL state on webglcontextrestored
+    if (state.mainReleased) {
+        renderer.domElement.addEventListener('webglcontextrestored', () => {
+            renderer.setSize(window.innerWidth, window.innerHeight);
+            console.log('✅ Main renderer context restored');
+        }, { once: true });
+        renderer.forceContextRestore();
+    }
+}
+
+// Fill the workload picker on the level page from testWorkloads
+function populateWorkloadSelect() {
+    const workloadSelect = document.getElementById('workload-select');
+    if (!workloadSelect) return;
     
-    // Safely update UI elements
-    const objectCountEl = document.getElementById('object-count');
-    const objectsDisplayEl = document.getElementById('objects-display');
+    workloadSelect.innerHTML = Object.keys(testWorkloads).map(key => `
+        <option value="${key}"${key === currentWorkload ? ' selected' : ''}>${testWorkloads[key].name}</option>
+    `).join('');
     
-    if (objectCountEl) {
-        objectCountEl.textContent = objectCount;
-    } else {
-        console.warn('object-count element not found');
-    }
+    const updateDescription = () => {
+        const descriptionEl = document.getElementById('workload-description');
+        if (descriptionEl) {
+            const workload = testWorkloads[workloadSelect.value];
+            const missingRequirement = renderer ? getMissingWorkloadRequirement(workload) : null;
+            descriptionEl.textContent = workload.description + (missingRequirement ? ` (requires ${missingRequirement} - not available on this device)` : '');
+        }
+        
+        // Only the selected workload's options panel is visible
+        Object.keys(testWorkloads).forEach(key => {
+            const panel = testWorkloads[key].optionsPanel && document.getElementById(testWorkloads[key].optionsPanel);
+            if (panel) panel.style.display = key === workloadSelect.value ? 'block' : 'none';
+        });
+    };
     
-    if (objectsDisplayEl) {
-        objectsDisplayEl.textContent = objectCount;
-    } else {
-        console.warn('objects-display element not found');
+    workloadSelect.onchange = updateDescription;
+    updateDescription();
+}
+
+// Name of the first capability the workload needs but this device lacks, or null
+function getMissingWorkloadRequirement(workload) {
+    if (workload.requiresWebGL2 && !renderer.capabilities.isWebGL2) return 'WebGL2';
+    if (workload.requiresFloatTargets && !getFloatRenderTargetType()) return 'floating-point render targets';
+    return null;
+}
+
+// Float texture type this context can render into (half float preferred), or null
+function getFloatRenderTargetType() {
+    const extensions = renderer.extensions;
+    
+    if (renderer.capabilities.isWebGL2) {
+        return extensions.has('EXT_color_buffer_float') || extensions.has('EXT_color_buffer_half_float')
+            ? THREE.HalfFloatType
+            : null;
     }
-    
-    console.log(`Created ${objectCount} test objects`);
+    if (extensions.has('OES_texture_half_float') && extensions.has('EXT_color_buffer_half_float')) {
+        return THREE.HalfFloatType;
+    }
+    if (renderer.capabilities.floatFragmentTextures && extensions.has('WEBGL_color_buffer_float')) {
+        return THREE.FloatType;
+    }
+    return null;
+}
+
+// Read the workload chosen on the level page
+function getSelectedWorkload() {
+    const workloadSelect = document.getElementById('workload-select');
+    const selected = workloadSelect ? workloadSelect.value : currentWorkload;
+    return testWorkloads[selected] ? selected : 'cubes';
 }
 
 // Initialize FPS Chart
 function initFPSChart() {
+    const chartCanvas = document.getElementById('fps-chart');
+    if (!chartCanvas || typeof Chart === 'undefined') {
+        console.log('FPS chart not available on this page - skipping');
+        return;
+    }
+    
     if (!isMobile) { // Only show chart on desktop
-        const ctx = document.getElementById('fps-chart').getContext('2d');
+        const ctx = chartCanvas.getContext('2d');
         fpsChart = new Chart(ctx, {
             type: 'line',
             data: {
@@ -375,6 +6421,7 @@ function animate() {
     
     // Animate objects
     testObjects.forEach(obj => {
+        if (!obj.userData.rotationSpeed) return;
         obj.rotation.x += obj.userData.rotationSpeed.x;
         obj.rotation.y += obj.userData.rotationSpeed.y;
         obj.rotation.z += obj.userData.rotationSpeed.z;
@@ -385,6 +6432,12 @@ function animate() {
     camera.position.z = Math.sin(Date.now() * 0.0005) * 10;
     camera.lookAt(0, 0, 0);
     
+    // Let the active workload advance its own state
+    const workload = testWorkloads[currentWorkload];
+    if (workload.update && workloadState) {
+        workload.update(workloadState, elapsed / 1000);
+    }
+    
     // Update FPS and monitoring
     frameCount++;
     totalFrames++;
@@ -412,6 +6465,10 @@ function animate() {
         testResults.maxFPS = Math.max(testResults.maxFPS, fps);
         testResults.avgFPS = avgFPS;
         
+        // Workload-specific throughput next to the FPS readouts
+        updateWorkloadMetrics(fps);
+        updateSystemStressDisplay();
+        
         // Update FPS chart
         if (fpsChart && !isMobile) {
             const timeLabel = Math.floor(elapsedSeconds) + 's';
@@ -440,12 +6497,20 @@ function animate() {
         lastFPSUpdate = now;
     }
     
-    renderer.render(scene, camera);
+    if (workload.render && workloadState) {
+        workload.render(workloadState);
+    } else {
+        renderer.render(scene, camera);
+    }
+    
+    runArtifactCheckIfDue(elapsed / 1000);
 }
 
 // Calculate score based on performance
 function calculateScore() {
-    const levelConfig = testLevels[currentLevel];
+    // Workloads can override the level's expected FPS (a raymarcher and a cube field load the GPU differently)
+    const workloadLevelConfig = getWorkloadLevelConfig();
+    const levelConfig = workloadLevelConfig.expectedFPS ? workloadLevelConfig : testLevels[currentLevel];
     const expectedFPS = isMobile ? levelConfig.expectedFPS.mobile : levelConfig.expectedFPS.desktop;
     
     // Base score from average FPS performance
@@ -454,14 +6519,15 @@ function calculateScore() {
     // Penalty for high temperature
     const tempPenalty = Math.max(0, (testResults.maxTemp - 75) * 2);
     
-    // Stability bonus (based on FPS consistency)
+    // Stability bonus (based on FPS consistency) - corrupted verification frames fail stability outright
     const fpsRange = testResults.maxFPS - testResults.minFPS;
-    const stabilityBonus = Math.max(0, 30 - fpsRange);
+    const artifactsDetected = testResults.artifacts && testResults.artifacts.mismatches > 0;
+    const stabilityBonus = artifactsDetected ? 0 : Math.max(0, 30 - fpsRange);
     
     // Final score calculation
     const rawScore = fpsScore - tempPenalty + stabilityBonus;
     testResults.score = Math.max(0, Math.min(100, Math.round(rawScore)));
-    testResults.stability = Math.max(0, Math.min(100, Math.round(100 - (fpsRange / testResults.avgFPS) * 100)));
+    testResults.stability = artifactsDetected ? 0 : Math.max(0, Math.min(100, Math.round(100 - (fpsRange / testResults.avgFPS) * 100)));
     
     return testResults.score;
 }
@@ -471,13 +6537,19 @@ function saveTestResults() {
     const result = {
         level: currentLevel,
         levelName: testLevels[currentLevel].name,
+        workload: currentWorkload,
+        workloadName: testWorkloads[currentWorkload].name,
+        workloadMetrics: testResults.workloadMetrics,
+        workloadTable: testResults.workloadTable,
         score: testResults.score,
         avgFPS: testResults.avgFPS,
         minFPS: testResults.minFPS,
         maxFPS: testResults.maxFPS,
         maxTemp: Math.round(testResults.maxTemp),
         stability: testResults.stability,
-        objects: testLevels[currentLevel].objects,
+        artifacts: testResults.artifacts ? { checks: testResults.artifacts.checks, mismatches: testResults.artifacts.mismatches } : null,
+        systemStress: testResults.systemStress,
+        objects: testResults.objects ?? testLevels[currentLevel].objects,
         deviceType: isMobile ? 'Mobile' : 'Desktop',
         date: new Date().toLocaleDateString(),
         time: new Date().toLocaleTimeString()
@@ -516,8 +6588,21 @@ function startGPUTest(level = 'medium') {
         return;
     }
     
+    const selectedWorkload = testWorkloads[getSelectedWorkload()];
+    const missingRequirement = getMissingWorkloadRequirement(selectedWorkload);
+    if (missingRequirement) {
+        console.warn(`⚠️ ${selectedWorkload.name} needs ${missingRequirement} - refusing to start`);
+        showError(`The ${selectedWorkload.name} workload needs ${missingRequirement}, which this browser or device does not provide. Please choose another workload or try a browser with full WebGL2 support.`);
+        return;
+    }
+    if (selectedWorkload.validate && !selectedWorkload.validate()) {
+        console.warn(`⚠️ ${selectedWorkload.name} is not ready - refusing to start`);
+        return;
+    }
+    
     currentLevel = level;
-    console.log(`GPU Test initiated - Level: ${testLevels[level].name}`);
+    currentWorkload = getSelectedWorkload();
+    console.log(`GPU Test initiated - Level: ${testLevels[level].name}, Workload: ${testWorkloads[currentWorkload].name}`);
     
     isTestRunning = true;
     testStartTime = Date.now();
@@ -535,7 +6620,12 @@ function startGPUTest(level = 'medium') {
         avgFPS: 0,
         maxTemp: 65,
         stability: 100,
-        score: 0
+        score: 0,
+        workloadMetrics: {},
+        workloadTable: null,
+        workloadChart: null,
+        artifacts: null,
+        systemStress: null
     };
     
     // Show canvas and monitoring interface
@@ -544,14 +6634,60 @@ function startGPUTest(level = 'medium') {
     const levelSelection = document.querySelector('.level-selection');
     if (levelSelection) levelSelection.style.display = 'none';
     
+    const workloadMetricsEl = document.getElementById('workload-metrics');
+    if (workloadMetricsEl) workloadMetricsEl.textContent = '';
+    
+    if (hasPageSections()) {
+        const testTitleEl = document.getElementById('test-title');
+        if (testTitleEl) testTitleEl.textContent = testLevels[level].name + ' Running';
+        showPageSection('test-page');
+        window.scrollTo(0, 0);
+    }
+    
     // Initialize FPS chart
     initFPSChart();
     
-    // Create test objects and start animation
-    createStressTestObjects();
+    // Create test objects and start animation. Setup can throw (a shader the driver won't compile,
+    // a refused allocation) - undo everything so the page isn't stuck with isTestRunning set
+    try {
+        createWorkload();
+        if (testWorkloads[currentWorkload].skipArtifactCheck) {
+            skipArtifactCheck('not supported by this workload');
+        } else {
+            createArtifactCheck();
+        }
+        startSystemStress();
+    } catch (error) {
+        console.error(`❌ ${testWorkloads[currentWorkload].name} setup failed:`, error);
+        abortTestStart();
+        showError(`The ${testWorkloads[currentWorkload].name} workload could not be started: ${escapeErrorMessage(error)}`);
+        return;
+    }
+
+    // Workload setup (texture encoding, uploads) doesn't count against the test duration
+    testStartTime = Date.now();
+    lastFPSUpdate = Date.now();
     animate();
 }
 
+// Tear down a test that failed during setup and return to the level page
+function abortTestStart() {
+    clearTestScene();
+    resetTestState();
+
+    const testMonitoring = document.querySelector('.test-monitoring');
+    if (testMonitoring) testMonitoring.style.display = 'none';
+    showLevelSelection();
+}
+
+// Error text safe to put into showError's markup (shader logs can contain '<')
+function escapeErrorMessage(error) {
+    return String((error && error.message) || error)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
 // Stop GPU Test function
 function stopGPUTest() {
     if (!isTestRunning) return;
@@ -565,24 +6701,18 @@ function stopGPUTest() {
         animationId = null;
     }
     
+    // Collect workload summaries before the scene is torn down
+    finalizeWorkloadResults();
+    stopSystemStress();
+    
     // Calculate final score
     const finalScore = calculateScore();
     
     // Save results
     saveTestResults();
     
-    // Clear objects
-    testObjects.forEach(obj => {
-        scene.remove(obj);
-    });
-    testObjects = [];
-    
-    // Clear lights
-    scene.children.forEach(child => {
-        if (child.type === 'AmbientLight' || child.type === 'DirectionalLight') {
-            scene.remove(child);
-        }
-    });
+    // Clear objects, lights and workload resources
+    clearTestScene();
     
     // Clean up chart
     if (fpsChart) {
@@ -616,19 +6746,46 @@ function showTestResults() {
     const resultGpuTempEl = document.getElementById('result-gpu-temp');
     const resultStabilityEl = document.getElementById('result-stability');
     
-    if (completedLevelEl) completedLevelEl.textContent = testLevels[currentLevel].name;
+    if (completedLevelEl) completedLevelEl.textContent = `${testLevels[currentLevel].name} - ${testWorkloads[currentWorkload].name}`;
     if (completionTimeEl) completionTimeEl.textContent = new Date().toLocaleTimeString();
     if (finalScoreEl) finalScoreEl.textContent = testResults.score;
     if (resultAvgFpsEl) resultAvgFpsEl.textContent = testResults.avgFPS;
     if (resultMinFpsEl) resultMinFpsEl.textContent = testResults.minFPS === Infinity ? 0 : testResults.minFPS;
     if (resultMaxFpsEl) resultMaxFpsEl.textContent = testResults.maxFPS;
-    if (resultObjectsEl) resultObjectsEl.textContent = testLevels[currentLevel].objects;
+    if (resultObjectsEl) resultObjectsEl.textContent = testResults.objects ?? testLevels[currentLevel].objects;
     if (resultGpuTempEl) resultGpuTempEl.textContent = Math.round(testResults.maxTemp) + '°C';
-    if (resultStabilityEl) resultStabilityEl.textContent = testResults.stability + '%';
+    if (resultStabilityEl) {
+        const artifactsDetected = testResults.artifacts && testResults.artifacts.mismatches > 0;
+        resultStabilityEl.textContent = testResults.stability + '%' + (artifactsDetected ? ' (artifacts)' : '');
+    }
+    
+    // Worker step rate when system stress ran alongside the GPU workload
+    const resultCpuRateCardEl = document.getElementById('result-cpu-rate-card');
+    if (resultCpuRateCardEl) {
+        const systemStressResult = testResults.systemStress;
+        resultCpuRateCardEl.style.display = systemStressResult ? 'block' : 'none';
+        const resultCpuRateEl = document.getElementById('result-cpu-rate');
+        const resultCpuRateLabelEl = document.getElementById('result-cpu-rate-label');
+        if (systemStressResult && resultCpuRateEl) resultCpuRateEl.textContent = formatRate(systemStressResult.stepsPerSecond);
+        if (systemStressResult && resultCpuRateLabelEl) resultCpuRateLabelEl.textContent = `CPU Steps/s (${systemStressResult.workers} worker${systemStressResult.workers === 1 ? '' : 's'})`;
+    }
+    
+    // Workload-specific results (throughput, sweep tables etc.)
+    const resultWorkloadMetricsEl = document.getElementById('result-workload-metrics');
+    if (resultWorkloadMetricsEl) {
+        renderWorkloadResults(resultWorkloadMetricsEl);
+    }
+    
+    const resultArtifactsEl = document.getElementById('result-artifacts');
+    if (resultArtifactsEl) {
+        renderArtifactResults(resultArtifactsEl);
+    }
     
     // Update score rating
     const scoreRating = document.getElementById('score-rating');
-    if (testResults.score >= 90) {
+    if (!scoreRating) {
+        console.warn('score-rating element not found');
+    } else if (testResults.score >= 90) {
         scoreRating.textContent = 'Outstanding';
         scoreRating.style.color = '#00ff88';
     } else if (testResults.score >= 75) {
@@ -649,7 +6806,11 @@ function showTestResults() {
     loadPreviousResults();
     
     // Show results page
-    document.querySelector('.test-results').style.display = 'block';
+    if (hasPageSections()) {
+        showPageSection('results-page');
+    } else {
+        document.querySelector('.test-results').style.display = 'block';
+    }
     
     // Show social sharing buttons
     showSocialSharing();
@@ -659,6 +6820,7 @@ function showTestResults() {
 function loadPreviousResults() {
     const savedResults = JSON.parse(localStorage.getItem('gpuTestResults') || '[]');
     const comparisonList = document.getElementById('previous-tests');
+    if (!comparisonList) return;
     
     if (savedResults.length <= 1) { // Only current test or no tests
         comparisonList.innerHTML = '<div class="comparison-item">No previous tests found</div>';
@@ -670,7 +6832,7 @@ function loadPreviousResults() {
     
     comparisonList.innerHTML = previousTests.map(result => `
         <div class="comparison-item">
-            <span>${result.levelName} (${result.date})</span>
+            <span>${result.workloadName ? result.workloadName + ' - ' : ''}${result.levelName} (${result.date})</span>
             <span>Score: ${result.score} | FPS: ${result.avgFPS}</span>
         </div>
     `).join('');
@@ -685,10 +6847,34 @@ function onWindowResize() {
     }
 }
 
+// Page sections used by the live index.html (index-backup.html uses .hero/.level-selection instead)
+const PAGE_SECTIONS = ['home-page', 'level-page', 'test-page', 'results-page', 'about-page', 'how-page'];
+
+// Check whether the current document uses the section-per-page layout
+function hasPageSections() {
+    return !!document.getElementById('test-page');
+}
+
+// Show a single page section and hide the others (pass null to hide all of them)
+function showPageSection(sectionId) {
+    PAGE_SECTIONS.forEach(id => {
+        const section = document.getElementById(id);
+        if (section) {
+            section.style.display = id === sectionId ? 'block' : 'none';
+        }
+    });
+}
+
 // Show level selection page
 function showLevelSelection() {
     console.log('📋 showLevelSelection() function called');
     
+    if (hasPageSections()) {
+        showPageSection('level-page');
+        window.scrollTo(0, 0);
+        return;
+    }
+    
     const heroElement = document.querySelector('.hero');
     const levelSelectionElement = document.querySelector('.level-selection');
     const testResultsElement = document.querySelector('.test-results');
@@ -780,10 +6966,8 @@ function showLevelSelection() {
     console.log('✅ Scrolled to top to prevent anchor navigation');
 }
 
-// Show home page
-function showHomePage() {
-    console.log('🏠 showHomePage() called - cleaning up and returning to home');
-    
+// Stop any running test and release its scene objects (shared by every navigation path)
+function resetTestState() {
     // CRITICAL: Stop any running tests first and reset all test state
     console.log('🔄 Resetting all test state variables...');
     isTestRunning = false;
@@ -799,6 +6983,8 @@ function showHomePage() {
         fallbackAnimationId = null;
     }
     
+    stopSystemStress();
+    
     // Reset test variables
     frameCount = 0;
     totalFrames = 0;
@@ -814,34 +7000,20 @@ function showHomePage() {
         avgFPS: 0,
         maxTemp: 65,
         stability: 100,
-        score: 0
+        score: 0,
+        workloadMetrics: {},
+        workloadTable: null,
+        workloadChart: null,
+        artifacts: null,
+        systemStress: null
     };
     
     console.log('✅ All test state variables reset');
     
     // Clear Three.js objects if they exist
-    if (scene && testObjects.length > 0) {
+    if (scene) {
         console.log('🧹 Clearing Three.js test objects');
-        testObjects.forEach(obj => {
-            scene.remove(obj);
-            // Dispose geometry and materials to free memory
-            if (obj.geometry) obj.geometry.dispose();
-            if (obj.material) {
-                if (Array.isArray(obj.material)) {
-                    obj.material.forEach(mat => mat.dispose());
-                } else {
-                    obj.material.dispose();
-                }
-            }
-        });
-        testObjects = [];
-        
-        // Clear lights
-        scene.children.forEach(child => {
-            if (child.type === 'AmbientLight' || child.type === 'DirectionalLight') {
-                scene.remove(child);
-            }
-        });
+        clearTestScene();
     }
     
     // Clean up chart
@@ -867,6 +7039,21 @@ function showHomePage() {
         fallbackContainer.style.display = 'none';
         fallbackContainer.innerHTML = '';
     }
+}
+
+// Show home page
+function showHomePage() {
+    console.log('🏠 showHomePage() called - cleaning up and returning to home');
+    
+    resetTestState();
+    
+    // Live page: one <section> per page
+    if (hasPageSections()) {
+        showPageSection('home-page');
+        window.scrollTo(0, 0);
+        console.log('✅ Returned to home page - all test objects cleared');
+        return;
+    }
     
     // Reset DOM elements
     const heroElement = document.querySelector('.hero');
@@ -935,6 +7122,13 @@ function initEventListeners() {
     const allButtonsNow = document.querySelectorAll('button');
     console.log('- Total buttons available:', allButtonsNow.length);
     
+    // The live page binds its buttons inline and calls into this file directly
+    if (hasPageSections()) {
+        window.addEventListener('resize', onWindowResize);
+        console.log('Page sections detected - using inline button handlers');
+        return;
+    }
+    
     // Add event listeners for main start button
     const startButton = document.querySelector('.start-test-btn');
     console.log('🎯 Start button search result:', startButton);
@@ -1097,7 +7291,13 @@ function handleLevelButtonClick(level) {
     
     if (appMode === '3d') {
         console.log('✅ Starting 3D GPU test');
-        startGPUTest(level);
+        try {
+            startGPUTest(level);
+        } catch (error) {
+            console.error('❌ GPU test failed to start:', error);
+            abortTestStart();
+            showError(`The GPU test could not be started: ${escapeErrorMessage(error)}`);
+        }
     } else if (appMode === '2d') {
         console.log('✅ Starting 2D fallback test');
         startFallbackTest(level);
@@ -1129,6 +7329,9 @@ function init3DMode() {
         appMode = '3d';
         console.log('🔄 App mode set to:', appMode);
         updateUIFor3DMode();
+        populateWorkloadSelect();
+        initCustomShaderPanel();
+        initGLTFDropZone();
         console.log('✅ UI updated for 3D mode, initializing event listeners...');
         initEventListeners();
         return true;
@@ -1240,11 +7443,20 @@ function startFallbackTest(level) {
         avgFPS: 0,
         maxTemp: 65,
         stability: 100,
-        score: 0
+        score: 0,
+        workloadMetrics: {},
+        workloadTable: null,
+        workloadChart: null,
+        artifacts: null,
+        systemStress: null
     };
     
     // Hide level selection and show 2D test interface
-    document.querySelector('.level-selection').style.display = 'none';
+    if (hasPageSections()) {
+        showPageSection(null);
+    } else {
+        document.querySelector('.level-selection').style.display = 'none';
+    }
     show2DTestInterface();
     
     // Start 2D animation test
@@ -1458,14 +7670,20 @@ function show2DTestResults() {
         color = '#ff8844';
     }
     
-    scoreRating.textContent = rating;
-    scoreRating.style.color = color;
+    if (scoreRating) {
+        scoreRating.textContent = rating;
+        scoreRating.style.color = color;
+    }
     
     // Load previous results
     loadPreviousResults();
     
     // Show results page
-    document.querySelector('.test-results').style.display = 'block';
+    if (hasPageSections()) {
+        showPageSection('results-page');
+    } else {
+        document.querySelector('.test-results').style.display = 'block';
+    }
     
     // Show social sharing buttons
     showSocialSharing();
@@ -1786,6 +8004,14 @@ function detectWebGLSupport() {
         vertexArrayObject: gl.getExtension('OES_vertex_array_object')
     };
     
+    // Compressed texture families (see COMPRESSED_TEXTURE_FORMATS)
+    const compressedFormats = {
+        s3tc: !!(gl.getExtension('WEBGL_compressed_texture_s3tc') || gl.getExtension('WEBKIT_WEBGL_compressed_texture_s3tc')),
+        etc2: !!gl.getExtension('WEBGL_compressed_texture_etc'),
+        astc: !!gl.getExtension('WEBGL_compressed_texture_astc'),
+        bptc: !!gl.getExtension('EXT_texture_compression_bptc')
+    };
+    
     // Clean up test canvas
     canvas.remove();
     
@@ -1793,6 +8019,7 @@ function detectWebGLSupport() {
         supported: true,
         version: webglVersion,
         extensions: extensions,
+        compressedFormats: compressedFormats,
         error: null
     };
 }
@@ -1820,6 +8047,7 @@ function initializeApplication() {
             console.log('✅ Three.js loaded successfully, checking WebGL support...');
             // First check WebGL support
             const webglSupport = detectWebGLSupport();
+            webglSupportInfo = webglSupport;
             console.log('🔍 WebGL support check:', webglSupport);
             
             if (!webglSupport.supported) {
@@ -1897,6 +8125,11 @@ window.debugTestHomeNavigation = function() {
 
 // ULTIMATE FIX: Force all buttons to work
 window.forceFixAllButtons = function() {
+    if (hasPageSections()) {
+        console.log('Page sections detected - inline button handlers left in place');
+        return;
+    }
+    
     console.log('🚨 ULTIMATE FIX: Forcing all buttons to work...');
     
     // Fix main start button
@@ -2274,6 +8507,8 @@ function checkFunctionExists(funcName) {
 
 // EMERGENCY LEVEL BUTTON HANDLER
 function addEmergencyLevelButtonHandlers() {
+    if (hasPageSections()) return;
+    
     console.log('🚨 Adding emergency level button handlers...');
     
     const levelButtons = document.querySelectorAll('.level-btn');
@@ -2326,6 +8561,9 @@ function addEmergencyLevelButtonHandlers() {
 
 // IMMEDIATE SIMPLE FIX: Add event listener as soon as possible
 function addSimpleButtonHandler() {
+    // The live page's start button already navigates through its inline handler
+    if (hasPageSections()) return true;
+    
     const btn = document.getElementById('simple-start-btn') || document.querySelector('.start-test-btn');
     if (btn) {
         console.log('🎯 SIMPLE: Adding immediate button handler');
@@ -2385,6 +8623,8 @@ const intervalId = setInterval(() => {
 
 // CRITICAL: Add emergency level button handlers as soon as possible
 function initializeEmergencyHandlers() {
+    if (hasPageSections()) return;
+    
     console.log('🚨 Initializing emergency handlers...');
     
     // Set level button handlers
@@ -2577,7 +8817,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // IMMEDIATE: Add strong event handler to override any issues
     console.log('🔧 Adding immediate strong event handler for start button...');
     const immediateStartBtn = document.querySelector('.start-test-btn');
-    if (immediateStartBtn) {
+    if (immediateStartBtn && !hasPageSections()) {
         // Remove any existing event listeners by cloning the element
         const newStartBtn = immediateStartBtn.cloneNode(true);
         immediateStartBtn.parentNode.replaceChild(newStartBtn, immediateStartBtn);
@@ -2630,7 +8870,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // BACKUP: Add additional event handler as fallback
     setTimeout(() => {
         const startBtn = document.querySelector('.start-test-btn');
-        if (startBtn) {
+        if (startBtn && !hasPageSections()) {
             console.log('🔧 Adding backup event handler as secondary measure...');
             startBtn.addEventListener('click', function(e) {
                 console.log('🚨 BACKUP CLICK HANDLER ACTIVATED!');
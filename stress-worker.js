@@ -0,0 +1,51 @@
+// System stress worker: n-body physics on one CPU core until the page terminates it.
+// Loaded by startSystemStress() in main.js from the same origin (the CSP doesn't allow blob: workers).
+// Receives { bodies, reportInterval } and posts { steps, interactions } every reportInterval ms.
+
+self.onmessage = event => {
+    const { bodies, reportInterval } = event.data;
+    const position = new Float64Array(bodies * 3);
+    const velocity = new Float64Array(bodies * 3);
+    for (let i = 0; i < position.length; i++) {
+        position[i] = Math.random() * 20 - 10;
+    }
+
+    const dt = 0.001;
+    const softening = 0.01;
+    let steps = 0;
+    let lastReport = performance.now();
+
+    // Runs until the page terminates the worker
+    for (;;) {
+        for (let i = 0; i < bodies; i++) {
+            const ix = i * 3;
+            let ax = 0, ay = 0, az = 0;
+            for (let j = 0; j < bodies; j++) {
+                const jx = j * 3;
+                const dx = position[jx] - position[ix];
+                const dy = position[jx + 1] - position[ix + 1];
+                const dz = position[jx + 2] - position[ix + 2];
+                const distSq = dx * dx + dy * dy + dz * dz + softening;
+                const invDist = 1 / Math.sqrt(distSq);
+                const strength = invDist * invDist * invDist;
+                ax += dx * strength;
+                ay += dy * strength;
+                az += dz * strength;
+            }
+            velocity[ix] += ax * dt;
+            velocity[ix + 1] += ay * dt;
+            velocity[ix + 2] += az * dt;
+        }
+        for (let i = 0; i < position.length; i++) {
+            position[i] += velocity[i] * dt;
+        }
+        steps++;
+
+        const now = performance.now();
+        if (now - lastReport >= reportInterval) {
+            self.postMessage({ steps, interactions: steps * bodies * bodies });
+            steps = 0;
+            lastReport = now;
+        }
+    }
+};